@@ -1,36 +1,198 @@
-// admin-sos.js - SOS Management for Admin (No Targeted Notifications)
+// admin-sos.js - SOS Management for Admin + Requester Push + Live Location Trails + Dispatch Map + Status Timeline + Chat + Medical ID
 let currentSOSRecords = [];
-window.sosAddressCache = new Map();
 
-async function getAddressFromCoords(lat, lng) {
-  const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
-  if (window.sosAddressCache.has(key)) {
-    return window.sosAddressCache.get(key);
+// Live location trails for active SOS requests (sos_id -> [{ lat, lng, accuracy, recorded_at }])
+const sosLocationTrails = new Map();
+const TRACKED_STATUSES = ['waiting', 'dispatched'];
+
+const SOS_STATUS_LABELS = {
+  waiting: 'Waiting',
+  dispatched: 'Dispatched',
+  arrived: 'Arrived',
+  resolved: 'Resolved',
+  unable_to_locate: 'Unable to Locate',
+  cancelled: 'Cancelled'
+};
+
+const SOS_CANCEL_REASONS = {
+  false_alarm: 'False alarm',
+  accidental: 'Pressed by accident',
+  no_longer_needed: 'No longer needs help',
+  other: 'Other'
+};
+
+const SOS_CATEGORIES = {
+  medical: { label: 'Medical', icon: 'fa-heart-pulse' },
+  fire: { label: 'Fire', icon: 'fa-fire' },
+  flood: { label: 'Flood / Trapped', icon: 'fa-water' },
+  crime: { label: 'Crime', icon: 'fa-user-shield' },
+  other: { label: 'Other', icon: 'fa-circle-question' }
+};
+
+// Shown wherever a dispatcher might reach for the phone
+const SILENT_SOS_BADGE = `<span class="sos-silent" title="Sent discreetly. The requester may be hiding: text or chat only.">
+  <i class="fas fa-phone-slash"></i> Silent · do not call back
+</span>`;
+
+// "SOS for someone else": user_id is the reporter, victim_name / victim_condition describe
+// the person in need and contact_phone is the callback number the reporter gave
+function isOnBehalf(sos) {
+  return sos?.request_type === 'on_behalf';
+}
+
+function getReporterName(sos) {
+  const user = sos?.user || {};
+  return `${user.first_name || ''} ${user.last_name || ''}`.trim() || 'Unknown User';
+}
+
+function getPersonInNeed(sos) {
+  return isOnBehalf(sos) ? (sos.victim_name || 'Unknown person') : getReporterName(sos);
+}
+
+// Triage weights. Uncategorized sits between "crime" and "other": we do not know yet, so it should not sink.
+const TRIAGE_CATEGORY_WEIGHT = { medical: 40, fire: 40, flood: 35, crime: 30, other: 15 };
+const TRIAGE_UNCATEGORIZED_WEIGHT = 25;
+const TRIAGE_MAX_AGE_POINTS = 40;        // 1 point per minute waiting
+const TRIAGE_REPEAT_POINTS = 15;         // per other SOS from the same user...
+const TRIAGE_REPEAT_WINDOW_MS = 30 * 60000; // ...within 30 minutes
+const TRIAGE_MAX_REPEAT_POINTS = 30;
+
+function computeTriagePriority(sos, records, now = Date.now()) {
+  const category = TRIAGE_CATEGORY_WEIGHT[sos.category] ?? TRIAGE_UNCATEGORIZED_WEIGHT;
+
+  const ageMinutes = Math.max(0, (now - new Date(sos.created_at)) / 60000);
+  const age = Math.min(TRIAGE_MAX_AGE_POINTS, Math.floor(ageMinutes));
+
+  const created = new Date(sos.created_at).getTime();
+  const repeats = records.filter(r =>
+    r.id !== sos.id &&
+    r.user_id === sos.user_id &&
+    r.status !== 'cancelled' &&
+    Math.abs(new Date(r.created_at).getTime() - created) <= TRIAGE_REPEAT_WINDOW_MS
+  ).length;
+  const repeat = Math.min(TRIAGE_MAX_REPEAT_POINTS, repeats * TRIAGE_REPEAT_POINTS);
+
+  return { score: category + age + repeat, repeats };
+}
+
+// Waiting requests first, highest priority on top; everything else newest first
+function sortByTriage(records) {
+  const now = Date.now();
+  records.forEach(sos => {
+    sos.triage = sos.status === 'waiting' ? computeTriagePriority(sos, records, now) : null;
+  });
+
+  return [...records].sort((a, b) => {
+    if (a.triage && b.triage) return b.triage.score - a.triage.score;
+    if (a.triage) return -1;
+    if (b.triage) return 1;
+    return new Date(b.created_at) - new Date(a.created_at);
+  });
+}
+
+function formatStatus(status) {
+  return SOS_STATUS_LABELS[status] || status;
+}
+const sosSMSMessages = new Map(); // sos_id -> sms_messages rows
+let trailMap = null;
+let trailLayer = null;
+let openTrailSOSId = null;
+
+// Live dispatch map next to the table
+const DISPATCH_MAP_STATUSES = ['waiting', 'dispatched', 'arrived'];
+const DISPATCH_MARKER_COLORS = { waiting: '#f59e0b', dispatched: '#2563eb', arrived: '#059669' };
+
+// GPS fixes worse than this get a warning: responders should expect to search
+const POOR_ACCURACY_M = 100;
+const dispatchMarkers = new Map(); // sos_id -> { marker, line }
+let dispatchMap = null;
+let dispatchLayer = null;
+let dispatchMapFitted = false;
+
+// Status audit trail (sos_id -> sos_status_history rows, oldest first)
+const sosStatusHistory = new Map();
+const historyActors = new Map(); // user id -> display name
+let openTimelineSOSId = null;
+
+// SOS ids whose sender shares a Medical ID (the content itself is fetched, and logged, per view)
+let medicalIdSOSIds = new Set();
+
+const MEDICAL_ID_FIELDS = {
+  blood_type: { label: 'Blood type', icon: 'fa-droplet' },
+  allergies: { label: 'Allergies', icon: 'fa-triangle-exclamation' },
+  conditions: { label: 'Medical conditions', icon: 'fa-notes-medical' },
+  medications: { label: 'Medications', icon: 'fa-pills' },
+  mobility_needs: { label: 'Mobility needs', icon: 'fa-wheelchair' },
+  preferred_hospital: { label: 'Preferred hospital', icon: 'fa-hospital' }
+};
+
+// Requester <-> dispatcher chat. The shared logic is the sos-chat.js module, imported on startup.
+let sosChat = null;
+const chatUnreadCounts = new Map(); // sos_id -> unread requester messages
+let chatPanelSOSId = null;
+let chatPanelMessages = [];
+
+// SOS rows store the address resolved when they were sent; the shared geocoding.js
+// module (imported on startup) only fills in requests saved before that.
+let geocoding = null;
+
+// Requests saved without an address render with coordinates; the address is filled in afterwards
+// and written back, so later loads (and the SOS texts) don't geocode them again. One pass at a
+// time: it reads currentSOSRecords as it goes, so rows from a reload mid-pass are picked up too.
+let fillingSOSAddresses = null;
+
+function fillSOSAddresses() {
+  if (!geocoding || fillingSOSAddresses) return;
+  fillingSOSAddresses = fillLegacySOSAddresses().finally(() => { fillingSOSAddresses = null; });
+}
+
+async function fillLegacySOSAddresses() {
+  const tried = new Set();
+
+  for (;;) {
+    const sos = currentSOSRecords.find(r => !r.address && r.location?.lat && r.location?.lng && !tried.has(r.id));
+    if (!sos) return;
+    tried.add(sos.id);
+
+    const resolved = await geocoding.resolveAddress(sos.location.lat, sos.location.lng);
+    if (!resolved) continue;
+
+    patchSOSAddress(sos.id, resolved);
+    const { error } = await window.supabase
+      .from('sos_requests')
+      .update({ address: resolved.address, barangay: resolved.barangay })
+      .eq('id', sos.id)
+      .is('address', null);
+    if (error) console.warn('⚠️ Could not save address for SOS', sos.id, error);
   }
+}
 
-  try {
-    const res = await fetch(`https://photon.komoot.io/reverse?lon=${lng}&lat=${lat}&limit=1`);
-    const data = await res.json();
-    let address = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
-
-    if (data.features?.[0]?.properties) {
-      const p = data.features[0].properties;
-      address = [
-        p.name || p.street || '',
-        p.house_number ? `#${p.house_number}` : '',
-        p.suburb || p.city || p.town || 'San Pablo City',
-        'Laguna',
-        'Philippines'
-      ].filter(Boolean).join(', ');
+function patchSOSAddress(sosId, { address, barangay }) {
+  const sos = currentSOSRecords.find(r => r.id === sosId);
+  if (sos) Object.assign(sos, { address, barangay });
+
+  document.querySelectorAll(`[data-address-for="${sosId}"]`).forEach(el => {
+    el.textContent = address;
+    const cell = el.closest('.sos-location');
+    if (barangay && cell && !cell.parentElement.querySelector('.sos-barangay')) {
+      cell.insertAdjacentHTML('afterend', `<div class="sos-barangay">Brgy. ${escapeHtml(barangay)}</div>`);
     }
+  });
+}
 
-    window.sosAddressCache.set(key, address);
-    return address;
-  } catch (err) {
-    const fallback = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
-    window.sosAddressCache.set(key, fallback);
-    return fallback;
-  }
+// An address write-back (from this page or another dispatcher's) changes nothing else on the row:
+// patch it in place instead of reloading the whole table
+function isAddressOnlyUpdate(row) {
+  const sos = currentSOSRecords.find(r => r.id === row.id);
+  if (!sos || !row.address) return false;
+
+  // Realtime and PostgREST may format the same timestamp differently
+  const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b) ||
+    (typeof a === 'string' && typeof b === 'string' && !Number.isNaN(Date.parse(a)) && Date.parse(a) === Date.parse(b));
+
+  return Object.keys(row)
+    .filter(key => key in sos && key !== 'address' && key !== 'barangay')
+    .every(key => sameValue(sos[key], row[key]));
 }
 
 function escapeHtml(text) {
@@ -62,7 +224,7 @@ async function loadSOSRecords(supabase) {
     // First, get SOS requests
     const { data: sosData, error: sosError } = await supabase
       .from('sos_requests')
-      .select('id, user_id, location, contact_phone, status, created_at')
+      .select('id, user_id, location, address, barangay, contact_phone, status, created_at, push_delivery, cancel_reason, cancel_note, cancelled_at, category, note, native_fallback, silent, request_type, victim_name, victim_condition, escalation_level, escalation_status, escalated_at, escalation_acknowledged_at')
       .order('created_at', { ascending: false });
 
     if (sosError) throw sosError;
@@ -81,9 +243,17 @@ async function loadSOSRecords(supabase) {
       };
     }));
 
-    currentSOSRecords = sosWithUsers;
+    currentSOSRecords = sortByTriage(sosWithUsers);
+    await loadLocationTrails(supabase, sosWithUsers.filter(sos => TRACKED_STATUSES.includes(sos.status)).map(sos => sos.id));
+    await loadSMSMessages(supabase, sosWithUsers.map(sos => sos.id));
+    await loadStatusHistory(supabase, sosWithUsers.map(sos => sos.id));
+    await loadChatUnreadCounts(supabase, sosWithUsers.map(sos => sos.id));
+    await loadMedicalIdAvailability(supabase, sosWithUsers.map(sos => sos.id));
     await renderSOSRecords(currentSOSRecords);
+    renderDispatchMap(currentSOSRecords);
+    if (openTimelineSOSId) renderTimeline(openTimelineSOSId);
     updateStats(currentSOSRecords);
+    fillSOSAddresses();
   } catch (err) {
     console.error('Error loading SOS records:', err);
     tbody.innerHTML = `<tr><td colspan="6" style="color:#d32f2f;text-align:center;padding:40px;">Error loading SOS records: ${err.message}</td></tr>`;
@@ -99,10 +269,11 @@ async function renderSOSRecords(records) {
     return;
   }
 
-  const rows = await Promise.all(records.map(async (sos) => {
+  const rows = records.map((sos) => {
     const user = sos.user || {};
-    const userName = `${user.first_name || ''} ${user.last_name || ''}`.trim() || 'Unknown User';
+    const userName = getPersonInNeed(sos);
     const contactPhone = sos.contact_phone || user.phone || 'N/A';
+    const category = SOS_CATEGORIES[sos.category];
 
     const time = new Date(sos.created_at).toLocaleString('en-PH', {
       month: 'short', day: 'numeric', year: 'numeric',
@@ -117,35 +288,83 @@ async function renderSOSRecords(records) {
       const lat = sos.location.lat;
       const lng = sos.location.lng;
       mapLink = `https://maps.google.com/?q=${lat},${lng}`;
-      const address = await getAddressFromCoords(lat, lng);
-      locationDisplay = escapeHtml(address);
+      locationDisplay = escapeHtml(sos.address || `${lat.toFixed(5)}, ${lng.toFixed(5)}`);
     }
 
+    const trail = sosLocationTrails.get(sos.id) || [];
+    const latest = trail[trail.length - 1];
+    const liveDisplay = TRACKED_STATUSES.includes(sos.status) && latest
+      ? `<a class="sos-live" data-live-for="${sos.id}" href="https://maps.google.com/?q=${latest.lat},${latest.lng}" target="_blank" title="Latest reported position">
+          <span class="sos-live-dot"></span> Live · updated ${getTimeAgo(latest.recorded_at)}
+        </a>`
+      : '';
+
     // Highlight new SOS (within 10 seconds)
     const isNew = Date.now() - new Date(sos.created_at) < 10000;
-    const rowClass = isNew ? 'sos-alert-new' : '';
+    const rowClass = [
+      isNew && sos.status !== 'cancelled' ? 'sos-alert-new' : '',
+      sos.status === 'cancelled' ? 'sos-row-cancelled' : '',
+      isEscalationOpen(sos) ? 'sos-row-escalated' : '',
+      sos.silent ? 'sos-row-silent' : ''
+    ].filter(Boolean).join(' ');
+
+    const cancelDisplay = sos.status === 'cancelled'
+      ? `<div class="sos-cancel-reason" title="${escapeHtml(sos.cancel_note || '')}">
+          <i class="fas fa-user-slash"></i> ${escapeHtml(SOS_CANCEL_REASONS[sos.cancel_reason] || sos.cancel_reason || 'Cancelled')}
+          ${sos.cancel_note ? `<span>“${escapeHtml(sos.cancel_note)}”</span>` : ''}
+        </div>`
+      : '';
 
     return `
       <tr class="${rowClass}">
         <td>
           <div class="sos-time">${time}</div>
           <span class="sos-time-ago">${timeAgo}</span>
+          ${sos.triage ? 
+            `<span class="sos-triage" title="Category + minutes waiting + repeat SOS">
+              <i class="fas fa-sort-amount-down"></i> Priority ${sos.triage.score}
+            </span>` : 
+            ''}
         </td>
         <td>
           <div class="sos-sender">${escapeHtml(userName)}</div>
+          ${isOnBehalf(sos) ? 
+            `<span class="sos-on-behalf" title="Sent from the reporter's phone, not the person in need">
+              <i class="fas fa-hands-helping"></i> Reported by ${escapeHtml(getReporterName(sos))}
+            </span>` : 
+            ''}
+          ${sos.victim_condition ? `<div class="sos-victim-condition"><strong>Condition:</strong> ${escapeHtml(sos.victim_condition)}</div>` : ''}
+          ${sos.silent ? SILENT_SOS_BADGE : ''}
+          ${category ? 
+            `<span class="sos-category ${sos.category}"><i class="fas ${category.icon}"></i> ${category.label}</span>` : 
+            ''}
+          ${sos.triage?.repeats ? 
+            `<span class="sos-repeat"><i class="fas fa-redo"></i> ${sos.triage.repeats + 1} SOS in 30 min</span>` : 
+            ''}
+          ${sos.note ? `<div class="sos-note">“${escapeHtml(sos.note)}”</div>` : ''}
         </td>
         <td>
+          ${isOnBehalf(sos) ? '<div class="sos-contact-label">Callback (reporter)</div>' : ''}
           <div class="sos-contact">${escapeHtml(contactPhone)}</div>
+          <div class="sos-sms-delivery" data-sms-for="${sos.id}">${renderSMSDelivery(sos.id)}</div>
+          ${renderNativeFallback(sos.native_fallback)}
         </td>
         <td>
           <div class="sos-location">
             ${sos.location?.lat && sos.location?.lng ? 
-              `<a href="${mapLink}" target="_blank" title="Open in Google Maps">${locationDisplay}</a>` : 
+              `<a href="${mapLink}" target="_blank" title="Open in Google Maps" data-address-for="${sos.id}">${locationDisplay}</a>` : 
               locationDisplay}
           </div>
+          ${sos.barangay ? `<div class="sos-barangay">Brgy. ${escapeHtml(sos.barangay)}</div>` : ''}
+          ${renderLocationPrecision(sos)}
+          ${liveDisplay}
         </td>
         <td>
-          <span class="status-badge ${sos.status}">${sos.status}</span>
+          <span class="status-badge ${sos.status}">${formatStatus(sos.status)}</span>
+          ${cancelDisplay}
+          ${renderEscalation(sos)}
+          ${renderPushDelivery(sos.push_delivery)}
+          <div class="sos-durations" data-durations-for="${sos.id}">${renderDurations(sos)}</div>
         </td>
         <td>
           <div class="action-buttons-sos">
@@ -157,11 +376,28 @@ async function renderSOSRecords(records) {
                 <i class="fas fa-map-marker-alt"></i> Map
               </a>` : 
               ''}
+            ${trail.length ? 
+              `<button class="btn-view-trail" data-sos-id="${sos.id}">
+                <i class="fas fa-route"></i> Trail
+              </button>` : 
+              ''}
+            <button class="btn-view-timeline" data-sos-id="${sos.id}">
+              <i class="fas fa-timeline"></i> Timeline
+            </button>
+            ${medicalIdSOSIds.has(sos.id) ? 
+              `<button class="btn-medical-id" data-sos-id="${sos.id}">
+                <i class="fas fa-kit-medical"></i> Medical ID
+              </button>` : 
+              ''}
+            <button class="btn-open-chat" data-sos-id="${sos.id}">
+              <i class="fas fa-comments"></i> Chat
+              <span class="chat-unread-badge" data-chat-unread-for="${sos.id}" style="${chatUnreadCounts.get(sos.id) ? '' : 'display:none;'}">${chatUnreadCounts.get(sos.id) || 0}</span>
+            </button>
           </div>
         </td>
       </tr>
     `;
-  }));
+  });
 
   tbody.innerHTML = rows.join('');
 
@@ -173,19 +409,782 @@ async function renderSOSRecords(records) {
       openStatusModal(sosId, currentStatus);
     });
   });
+
+  document.querySelectorAll('.btn-view-trail').forEach(btn => {
+    btn.addEventListener('click', () => openTrailModal(btn.getAttribute('data-sos-id')));
+  });
+
+  document.querySelectorAll('.btn-view-timeline').forEach(btn => {
+    btn.addEventListener('click', () => openTimelineModal(btn.getAttribute('data-sos-id')));
+  });
+
+  document.querySelectorAll('.btn-ack-escalation').forEach(btn => {
+    btn.addEventListener('click', () => acknowledgeEscalation(btn.getAttribute('data-sos-id')));
+  });
+
+  document.querySelectorAll('.btn-open-chat').forEach(btn => {
+    btn.addEventListener('click', () => openChatPanel(btn.getAttribute('data-sos-id')));
+  });
+
+  document.querySelectorAll('.btn-medical-id').forEach(btn => {
+    btn.addEventListener('click', () => openMedicalIdModal(btn.getAttribute('data-sos-id')));
+  });
+}
+
+// ==================== MEDICAL ID ====================
+async function loadMedicalIdAvailability(supabase, sosIds) {
+  medicalIdSOSIds = new Set();
+  if (!sosIds.length) return;
+
+  const { data, error } = await supabase.rpc('sos_ids_with_medical_id', { p_sos_ids: sosIds });
+  if (error) {
+    console.error('Error checking medical IDs:', error);
+    return;
+  }
+
+  medicalIdSOSIds = new Set(data || []);
+}
+
+// Each open is a logged view (sos_medical_id writes medical_id_views), so nothing is cached
+async function openMedicalIdModal(sosId) {
+  const modal = document.getElementById('medicalIdModal');
+  const body = document.getElementById('medicalIdBody');
+  const sos = currentSOSRecords.find(r => r.id === sosId);
+
+  document.getElementById('medicalIdName').textContent = getReporterName(sos);
+  body.innerHTML = '<p class="medical-id-empty"><i class="fas fa-spinner fa-spin"></i> Loading...</p>';
+  modal.classList.add('show');
+
+  const { data, error } = await window.supabase.rpc('sos_medical_id', { p_sos_id: sosId });
+
+  if (error) {
+    console.error('Error loading medical ID:', error);
+    body.innerHTML = `<p class="medical-id-empty">${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  const rows = Object.entries(MEDICAL_ID_FIELDS).filter(([field]) => data?.[field]);
+  if (!rows.length) {
+    body.innerHTML = '<p class="medical-id-empty">This person has not shared any medical information.</p>';
+    return;
+  }
+
+  console.log('🩺 Medical ID viewed for SOS:', sosId);
+  body.innerHTML = `
+    <dl class="medical-id-list">
+      ${rows.map(([field, { label, icon }]) => `
+        <div class="medical-id-row ${field}">
+          <dt><i class="fas ${icon}"></i> ${label}</dt>
+          <dd>${escapeHtml(data[field])}</dd>
+        </div>
+      `).join('')}
+    </dl>
+    <p class="medical-id-footer">
+      Last updated ${new Date(data.updated_at).toLocaleDateString('en-PH')}. This view was logged and the person can see it.
+    </p>
+  `;
+}
+
+function closeMedicalIdModal() {
+  const modal = document.getElementById('medicalIdModal');
+  modal?.classList.remove('show');
+  document.getElementById('medicalIdBody').innerHTML = '';
+}
+
+// ==================== SOS CHAT ====================
+async function loadChatUnreadCounts(supabase, sosIds) {
+  chatUnreadCounts.clear();
+  if (!sosIds.length) return;
+
+  const { data, error } = await supabase
+    .from('sos_messages')
+    .select('sos_id')
+    .in('sos_id', sosIds)
+    .eq('sender_role', 'requester')
+    .is('read_at', null);
+
+  if (error) {
+    console.error('Error loading unread SOS messages:', error);
+    return;
+  }
+
+  (data || []).forEach(m => chatUnreadCounts.set(m.sos_id, (chatUnreadCounts.get(m.sos_id) || 0) + 1));
+}
+
+function updateChatBadge(sosId) {
+  const badge = document.querySelector(`[data-chat-unread-for="${sosId}"]`);
+  if (!badge) return;
+
+  const unread = chatUnreadCounts.get(sosId) || 0;
+  badge.textContent = unread;
+  badge.style.display = unread ? '' : 'none';
+}
+
+function setupChatPanel(supabase) {
+  const form = document.getElementById('chatPanelForm');
+  const input = document.getElementById('chatPanelInput');
+  const quick = document.getElementById('chatPanelQuick');
+
+  quick.innerHTML = sosChat.QUICK_REPLIES.dispatcher
+    .map(reply => `<button type="button">${escapeHtml(reply)}</button>`)
+    .join('');
+  quick.querySelectorAll('button').forEach(btn => {
+    btn.addEventListener('click', () => postDispatcherMessage(supabase, btn.textContent));
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = input.value.trim();
+    if (!body) return;
+    input.value = '';
+    await postDispatcherMessage(supabase, body);
+  });
+
+  document.getElementById('closeChatPanel').addEventListener('click', closeChatPanel);
+}
+
+async function openChatPanel(sosId) {
+  if (!sosChat) return alert('Chat is not available right now. Please refresh the page.');
+
+  const supabase = window.supabase;
+  const sos = currentSOSRecords.find(r => r.id === sosId);
+
+  chatPanelSOSId = sosId;
+  chatPanelMessages = [];
+  // Chat is with whoever holds the phone: the reporter, for an SOS sent on someone's behalf
+  document.getElementById('chatPanelTitle').textContent = isOnBehalf(sos)
+    ? `${getReporterName(sos)} (reporting for ${getPersonInNeed(sos)})`
+    : getReporterName(sos);
+  document.getElementById('chatPanelStatus').textContent = sos
+    ? `${sos.silent ? 'Silent SOS, do not call · ' : ''}${formatStatus(sos.status)} · sent ${getTimeAgo(sos.created_at)}`
+    : '';
+
+  const panel = document.getElementById('chatPanel');
+  panel.classList.add('open');
+  panel.setAttribute('aria-hidden', 'false');
+
+  try {
+    chatPanelMessages = await sosChat.loadChatMessages(supabase, sosId);
+  } catch (err) {
+    console.error('Error loading SOS messages:', err);
+  }
+  renderChatPanel();
+  await markChatPanelRead(supabase);
+
+  document.getElementById('chatPanelInput').focus();
+}
+
+function closeChatPanel() {
+  chatPanelSOSId = null;
+  const panel = document.getElementById('chatPanel');
+  panel.classList.remove('open');
+  panel.setAttribute('aria-hidden', 'true');
+}
+
+function renderChatPanel() {
+  sosChat.renderChatMessages(document.getElementById('chatPanelMessages'), chatPanelMessages, 'dispatcher');
+}
+
+async function markChatPanelRead(supabase) {
+  const sosId = chatPanelSOSId;
+  if (!sosId || !sosChat.countUnread(chatPanelMessages, 'dispatcher')) return;
+
+  const readAt = new Date().toISOString();
+  chatPanelMessages = chatPanelMessages.map(m =>
+    m.sender_role === 'requester' && !m.read_at ? { ...m, read_at: readAt } : m
+  );
+  chatUnreadCounts.set(sosId, 0);
+  updateChatBadge(sosId);
+
+  await sosChat.markChatRead(supabase, sosId, 'dispatcher');
+}
+
+async function postDispatcherMessage(supabase, body) {
+  if (!chatPanelSOSId) return;
+
+  try {
+    const message = await sosChat.sendChatMessage(supabase, {
+      sosId: chatPanelSOSId,
+      senderRole: 'dispatcher',
+      body
+    });
+    chatPanelMessages = sosChat.mergeChatMessage(chatPanelMessages, message);
+    renderChatPanel();
+  } catch (err) {
+    console.error('Error sending SOS message:', err);
+    alert('Failed to send message: ' + err.message);
+  }
+}
+
+function handleChatMessage(supabase, eventType, message) {
+  if (!message?.sos_id) return;
+
+  if (message.sos_id === chatPanelSOSId) {
+    chatPanelMessages = sosChat ? sosChat.mergeChatMessage(chatPanelMessages, message) : chatPanelMessages;
+    if (sosChat) renderChatPanel();
+    if (message.sender_role === 'requester' && !message.read_at) markChatPanelRead(supabase);
+    return;
+  }
+
+  if (eventType === 'INSERT' && message.sender_role === 'requester') {
+    chatUnreadCounts.set(message.sos_id, (chatUnreadCounts.get(message.sos_id) || 0) + 1);
+    updateChatBadge(message.sos_id);
+  }
+}
+
+// ==================== ESCALATION ====================
+// Set by the escalate-sos edge function; only the escalation for the current status counts
+function isEscalationOpen(sos) {
+  return sos.escalation_level > 0 &&
+    sos.escalation_status === sos.status &&
+    !sos.escalation_acknowledged_at;
+}
+
+function renderEscalation(sos) {
+  if (!sos.escalation_level || sos.escalation_status !== sos.status) return '';
+
+  if (sos.escalation_acknowledged_at) {
+    return `<div class="sos-escalation acknowledged">
+      <i class="fas fa-check"></i> Escalation acknowledged ${getTimeAgo(sos.escalation_acknowledged_at)}
+    </div>`;
+  }
+
+  return `<div class="sos-escalation">
+    <i class="fas fa-triangle-exclamation"></i> Escalated · level ${sos.escalation_level} · ${getTimeAgo(sos.escalated_at)}
+    <button class="btn-ack-escalation" data-sos-id="${sos.id}">Acknowledge</button>
+  </div>`;
+}
+
+async function acknowledgeEscalation(sosId) {
+  const supabase = window.supabase;
+  const { data: { session } } = await supabase.auth.getSession();
+
+  const { error } = await supabase
+    .from('sos_requests')
+    .update({
+      escalation_acknowledged_at: new Date().toISOString(),
+      escalation_acknowledged_by: session?.user?.id || null
+    })
+    .eq('id', sosId);
+
+  if (error) {
+    console.error('Error acknowledging escalation:', error);
+    alert('Failed to acknowledge escalation: ' + error.message);
+    return;
+  }
+
+  console.log('✅ Escalation acknowledged for SOS:', sosId);
+  await loadSOSRecords(supabase);
+}
+
+// ==================== STATUS HISTORY & TIMELINE ====================
+async function loadStatusHistory(supabase, sosIds) {
+  sosStatusHistory.clear();
+  if (!sosIds.length) return;
+
+  const { data, error } = await supabase
+    .from('sos_status_history')
+    .select('id, sos_id, old_status, new_status, changed_by, note, changed_at')
+    .in('sos_id', sosIds)
+    .order('changed_at', { ascending: true });
+
+  if (error) {
+    console.error('Error loading SOS status history:', error);
+    return;
+  }
+
+  (data || []).forEach(entry => {
+    if (!sosStatusHistory.has(entry.sos_id)) sosStatusHistory.set(entry.sos_id, []);
+    sosStatusHistory.get(entry.sos_id).push(entry);
+  });
+
+  await loadHistoryActors(supabase, (data || []).map(entry => entry.changed_by));
+}
+
+async function loadHistoryActors(supabase, userIds) {
+  const missing = [...new Set(userIds.filter(id => id && !historyActors.has(id)))];
+  if (!missing.length) return;
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, first_name, last_name')
+    .in('id', missing);
+
+  if (error) {
+    console.warn('Could not load history actor names:', error);
+    return;
+  }
+
+  (data || []).forEach(u => {
+    historyActors.set(u.id, `${u.first_name || ''} ${u.last_name || ''}`.trim() || 'Unknown');
+  });
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return '<1 min';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// waiting→dispatched and dispatched→arrived, from the first time each status was reached
+function computeSOSDurations(sos) {
+  const history = sosStatusHistory.get(sos.id) || [];
+  const firstAt = status => {
+    const entry = history.find(h => h.new_status === status);
+    return entry ? new Date(entry.changed_at).getTime() : null;
+  };
+
+  const sentAt = firstAt('waiting') ?? new Date(sos.created_at).getTime();
+  const dispatchedAt = firstAt('dispatched');
+  const arrivedAt = firstAt('arrived');
+
+  return {
+    toDispatch: dispatchedAt ? dispatchedAt - sentAt : null,
+    toArrive: dispatchedAt && arrivedAt ? arrivedAt - dispatchedAt : null
+  };
+}
+
+function renderDurations(sos) {
+  const { toDispatch, toArrive } = computeSOSDurations(sos);
+  const parts = [];
+  if (toDispatch !== null) parts.push(`<span title="Waiting → Dispatched"><i class="fas fa-truck-medical"></i> ${formatDuration(toDispatch)}</span>`);
+  if (toArrive !== null) parts.push(`<span title="Dispatched → Arrived"><i class="fas fa-location-dot"></i> ${formatDuration(toArrive)}</span>`);
+  return parts.join('');
+}
+
+function describeActor(entry, sos) {
+  if (!entry.changed_by) return 'System';
+  if (entry.changed_by === sos?.user_id) return 'Requester';
+  return historyActors.get(entry.changed_by) || 'Admin';
+}
+
+function openTimelineModal(sosId) {
+  openTimelineSOSId = sosId;
+  renderTimeline(sosId);
+  document.getElementById('timelineModal')?.classList.add('show');
+}
+
+function closeTimelineModal() {
+  openTimelineSOSId = null;
+  document.getElementById('timelineModal')?.classList.remove('show');
+}
+
+function renderTimeline(sosId) {
+  const list = document.getElementById('timelineList');
+  const durationsEl = document.getElementById('timelineDurations');
+  if (!list) return;
+
+  const sos = currentSOSRecords.find(r => r.id === sosId);
+  const history = sosStatusHistory.get(sosId) || [];
+
+  if (sos) {
+    const { toDispatch, toArrive } = computeSOSDurations(sos);
+    durationsEl.innerHTML = `
+      <div><span>Waiting → Dispatched</span><strong>${toDispatch !== null ? formatDuration(toDispatch) : '—'}</strong></div>
+      <div><span>Dispatched → Arrived</span><strong>${toArrive !== null ? formatDuration(toArrive) : '—'}</strong></div>
+    `;
+  }
+
+  if (!history.length) {
+    list.innerHTML = '<li class="timeline-empty">No status changes recorded yet.</li>';
+    return;
+  }
+
+  list.innerHTML = history.map(entry => {
+    const time = new Date(entry.changed_at).toLocaleString('en-PH', {
+      month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
+    });
+    const change = entry.old_status
+      ? `${formatStatus(entry.old_status)} → <strong>${formatStatus(entry.new_status)}</strong>`
+      : `<strong>${formatStatus(entry.new_status)}</strong>`;
+
+    return `
+      <li class="timeline-entry ${entry.new_status}">
+        <div class="timeline-change">${change}</div>
+        <div class="timeline-meta">${time} · ${escapeHtml(describeActor(entry, sos))}</div>
+        ${entry.note ? `<div class="timeline-note">“${escapeHtml(entry.note)}”</div>` : ''}
+      </li>
+    `;
+  }).join('');
+}
+
+async function handleStatusHistoryInsert(supabase, entry) {
+  if (!entry?.sos_id) return;
+
+  const history = sosStatusHistory.get(entry.sos_id) || [];
+  if (history.some(h => h.id === entry.id)) return;
+  history.push(entry);
+  sosStatusHistory.set(entry.sos_id, history);
+
+  await loadHistoryActors(supabase, [entry.changed_by]);
+
+  const sos = currentSOSRecords.find(r => r.id === entry.sos_id);
+  const cell = document.querySelector(`[data-durations-for="${entry.sos_id}"]`);
+  if (sos && cell) cell.innerHTML = renderDurations(sos);
+  if (openTimelineSOSId === entry.sos_id) renderTimeline(entry.sos_id);
+}
+
+// ==================== SMS DELIVERY STATE ====================
+const SMS_STATUS_ICONS = {
+  sent: 'fa-paper-plane',
+  delivered: 'fa-check-double',
+  undelivered: 'fa-exclamation-triangle',
+  failed: 'fa-times-circle'
+};
+
+async function loadSMSMessages(supabase, sosIds) {
+  sosSMSMessages.clear();
+  if (!sosIds.length) return;
+
+  const { data, error } = await supabase
+    .from('sms_messages')
+    .select('id, sos_id, recipient, status, error, provider, created_at, delivered_at')
+    .in('sos_id', sosIds)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error loading SMS delivery state:', error);
+    return;
+  }
+
+  (data || []).forEach(msg => {
+    if (!sosSMSMessages.has(msg.sos_id)) sosSMSMessages.set(msg.sos_id, []);
+    sosSMSMessages.get(msg.sos_id).push(msg);
+  });
+}
+
+function renderSMSDelivery(sosId) {
+  const messages = sosSMSMessages.get(sosId) || [];
+  if (!messages.length) return '<span class="sms-state none">No SMS record</span>';
+
+  const delivered = messages.filter(m => m.status === 'delivered').length;
+  const summary = `<div class="sms-summary">${delivered}/${messages.length} delivered</div>`;
+
+  return summary + messages.map(m => {
+    const title = m.error ? `${m.status}: ${m.error}` : m.status;
+    return `<span class="sms-state ${m.status}" title="${escapeHtml(title)}">
+      <i class="fas ${SMS_STATUS_ICONS[m.status] || 'fa-clock'}"></i> ${escapeHtml(m.recipient)}
+    </span>`;
+  }).join('');
+}
+
+// Requester fell back to their own phone because the SOS text service was unreachable
+function renderNativeFallback(fallback) {
+  if (!fallback) return '';
+
+  const used = [
+    fallback.sms_at && `<span class="sos-fallback" title="Opened SMS app ${getTimeAgo(fallback.sms_at)}"><i class="fas fa-comment-sms"></i> Texted from own phone</span>`,
+    fallback.call_at && `<span class="sos-fallback" title="Tapped hotline ${getTimeAgo(fallback.call_at)}"><i class="fas fa-phone"></i> Called CDRRMO hotline</span>`
+  ].filter(Boolean);
+
+  return used.join('');
+}
+
+function handleSMSUpdate(msg) {
+  if (!msg?.sos_id) return;
+
+  const messages = sosSMSMessages.get(msg.sos_id) || [];
+  const index = messages.findIndex(m => m.id === msg.id);
+  if (index >= 0) messages[index] = msg;
+  else messages.push(msg);
+  sosSMSMessages.set(msg.sos_id, messages);
+
+  const cell = document.querySelector(`[data-sms-for="${msg.sos_id}"]`);
+  if (cell) cell.innerHTML = renderSMSDelivery(msg.sos_id);
+}
+
+// ==================== LIVE DISPATCH MAP ====================
+function initDispatchMap() {
+  if (dispatchMap || typeof L === 'undefined' || !document.getElementById('dispatchMap')) return;
+
+  dispatchMap = L.map('dispatchMap', { center: [14.0695, 121.3216], zoom: 13 });
+  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19
+  }).addTo(dispatchMap);
+
+  (typeof EVACUATION_CENTERS !== 'undefined' ? EVACUATION_CENTERS : []).forEach(center => {
+    L.circleMarker(center.coords, { radius: 6, color: '#fff', weight: 2, fillColor: '#005ea5', fillOpacity: 0.9 })
+      .bindTooltip(`<strong>${escapeHtml(center.name)}</strong><br>${escapeHtml(center.capacity)}`)
+      .addTo(dispatchMap);
+  });
+
+  dispatchLayer = L.layerGroup().addTo(dispatchMap);
+}
+
+// Latest live fix if we have one, otherwise where the SOS was sent from
+function getLatestPosition(sos) {
+  const trail = sosLocationTrails.get(sos.id) || [];
+  const latest = trail[trail.length - 1];
+  if (latest) return [latest.lat, latest.lng];
+  if (sos.location?.lat && sos.location?.lng) return [sos.location.lat, sos.location.lng];
+  return null;
+}
+
+// Accuracy radius (m) of the same fix getLatestPosition() picks
+function getLatestAccuracy(sos) {
+  const trail = sosLocationTrails.get(sos.id) || [];
+  const latest = trail[trail.length - 1];
+  const accuracy = latest ? latest.accuracy : sos.location?.accuracy;
+  return Number.isFinite(accuracy) ? accuracy : null;
+}
+
+function formatAccuracy(meters) {
+  return `±${formatDistance(meters)}`;
+}
+
+// Plus Code + accuracy line for the table, with a warning when the fix is poor
+function renderLocationPrecision(sos) {
+  const accuracy = getLatestAccuracy(sos);
+  const parts = [];
+
+  if (sos.location?.source === 'pinned') parts.push('<span class="sos-pinned"><i class="fas fa-map-pin"></i> Pinned on map</span>');
+  if (sos.location?.plus_code) {
+    parts.push(`<span class="sos-plus-code" title="Plus Code: paste into Google Maps">${escapeHtml(sos.location.plus_code)}</span>`);
+  }
+  if (accuracy !== null) parts.push(`<span class="sos-accuracy">${formatAccuracy(accuracy)}</span>`);
+  if (Number.isFinite(sos.location?.altitude)) parts.push(`<span class="sos-altitude">${Math.round(sos.location.altitude)} m alt.</span>`);
+
+  const warning = accuracy !== null && accuracy > POOR_ACCURACY_M
+    ? `<div class="sos-accuracy-poor"><i class="fas fa-triangle-exclamation"></i> Low GPS accuracy: search within ${formatDistance(accuracy)}</div>`
+    : '';
+
+  return parts.length ? `<div class="sos-location-precision">${parts.join(' · ')}</div>${warning}` : '';
+}
+
+function formatDistance(meters) {
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+function renderDispatchMap(records) {
+  initDispatchMap();
+  if (!dispatchMap) return;
+
+  dispatchLayer.clearLayers();
+  dispatchMarkers.clear();
+
+  const positions = records
+    .filter(sos => DISPATCH_MAP_STATUSES.includes(sos.status))
+    .map(sos => drawDispatchMarker(sos))
+    .filter(Boolean);
+
+  document.getElementById('dispatchMapCount').textContent = `${positions.length} active`;
+
+  // Fit once; after that the dispatcher controls the view
+  if (!dispatchMapFitted && positions.length) {
+    dispatchMap.fitBounds(L.latLngBounds(positions).pad(0.3), { maxZoom: 16 });
+    dispatchMapFitted = true;
+  }
+}
+
+function drawDispatchMarker(sos) {
+  const position = getLatestPosition(sos);
+  if (!position) return null;
+
+  const color = DISPATCH_MARKER_COLORS[sos.status];
+  const nearest = typeof findNearestEvacuationCenters === 'function'
+    ? findNearestEvacuationCenters(position[0], position[1], 2)
+    : [];
+
+  const userName = getPersonInNeed(sos);
+  const category = SOS_CATEGORIES[sos.category];
+  const accuracy = getLatestAccuracy(sos);
+  const poorAccuracy = accuracy !== null && accuracy > POOR_ACCURACY_M;
+  const tooltip = `
+    <strong>${escapeHtml(userName)}</strong>
+    ${isOnBehalf(sos) ? `<div>Reported by ${escapeHtml(getReporterName(sos))}</div>` : ''}
+    ${sos.silent ? SILENT_SOS_BADGE : ''}
+    ${formatStatus(sos.status)}${category ? ` · ${category.label}` : ''} · ${getTimeAgo(sos.created_at)}
+    ${accuracy !== null ? `<div class="${poorAccuracy ? 'sos-accuracy-poor' : ''}">${poorAccuracy ? '⚠️ Low accuracy ' : 'Accuracy '}${formatAccuracy(accuracy)}</div>` : ''}
+    ${nearest.length ? `<ul>${nearest.map(c => `<li>${escapeHtml(c.name)} (${formatDistance(c.distance)})</li>`).join('')}</ul>` : ''}
+  `;
+
+  const line = nearest[0]
+    ? L.polyline([position, nearest[0].coords], { color, weight: 2, dashArray: '6 6', opacity: 0.7 }).addTo(dispatchLayer)
+    : null;
+
+  // Where the person could actually be; dashed red when the fix is poor
+  const accuracyCircle = accuracy !== null
+    ? L.circle(position, {
+      radius: accuracy,
+      color: poorAccuracy ? '#dc2626' : color,
+      weight: 1,
+      dashArray: poorAccuracy ? '4 4' : null,
+      fillOpacity: 0.08,
+      interactive: false
+    }).addTo(dispatchLayer)
+    : null;
+
+  const marker = L.circleMarker(position, {
+    radius: sos.status === 'waiting' ? 11 : 9,
+    color: '#fff',
+    weight: 2,
+    fillColor: color,
+    fillOpacity: 0.95
+  })
+    .bindTooltip(tooltip, { direction: 'top', className: 'dispatch-tooltip' })
+    .on('click', () => {
+      const current = currentSOSRecords.find(r => r.id === sos.id) || sos;
+      openStatusModal(current.id, current.status);
+    })
+    .addTo(dispatchLayer);
+
+  dispatchMarkers.set(sos.id, { marker, line, accuracyCircle });
+  return position;
+}
+
+function moveDispatchMarker(sosId) {
+  if (!dispatchLayer) return;
+
+  const existing = dispatchMarkers.get(sosId);
+  if (existing) {
+    dispatchLayer.removeLayer(existing.marker);
+    if (existing.line) dispatchLayer.removeLayer(existing.line);
+    if (existing.accuracyCircle) dispatchLayer.removeLayer(existing.accuracyCircle);
+    dispatchMarkers.delete(sosId);
+  }
+
+  const sos = currentSOSRecords.find(r => r.id === sosId);
+  if (sos && DISPATCH_MAP_STATUSES.includes(sos.status)) drawDispatchMarker(sos);
+}
+
+// ==================== LIVE LOCATION TRAILS ====================
+async function loadLocationTrails(supabase, sosIds) {
+  sosLocationTrails.clear();
+  if (!sosIds.length) return;
+
+  const { data, error } = await supabase
+    .from('sos_location_history')
+    .select('sos_id, lat, lng, accuracy, recorded_at')
+    .in('sos_id', sosIds)
+    .order('recorded_at', { ascending: true });
+
+  if (error) {
+    console.error('Error loading location trails:', error);
+    return;
+  }
+
+  (data || []).forEach(point => {
+    if (!sosLocationTrails.has(point.sos_id)) sosLocationTrails.set(point.sos_id, []);
+    sosLocationTrails.get(point.sos_id).push(point);
+  });
+}
+
+function handleLocationUpdate(point) {
+  const sos = currentSOSRecords.find(r => r.id === point.sos_id);
+  if (!sos || !TRACKED_STATUSES.includes(sos.status)) return;
+
+  if (!sosLocationTrails.has(point.sos_id)) sosLocationTrails.set(point.sos_id, []);
+  sosLocationTrails.get(point.sos_id).push(point);
+
+  const liveEl = document.querySelector(`[data-live-for="${point.sos_id}"]`);
+  if (liveEl) {
+    liveEl.href = `https://maps.google.com/?q=${point.lat},${point.lng}`;
+    liveEl.innerHTML = '<span class="sos-live-dot"></span> Live · updated Just now';
+  } else {
+    // First point for this SOS: re-render so the live badge and Trail button appear
+    renderSOSRecords(currentSOSRecords);
+  }
+
+  if (openTrailSOSId === point.sos_id) drawTrail(point.sos_id);
+  moveDispatchMarker(point.sos_id);
+}
+
+function openTrailModal(sosId) {
+  const modal = document.getElementById('trailModal');
+  if (!modal || typeof L === 'undefined') return;
+
+  openTrailSOSId = sosId;
+  modal.classList.add('show');
+
+  if (!trailMap) {
+    trailMap = L.map('trailMap', { center: [14.0695, 121.3216], zoom: 14 });
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      maxZoom: 19
+    }).addTo(trailMap);
+    trailLayer = L.layerGroup().addTo(trailMap);
+  }
+
+  // Leaflet needs a size recalculation once the modal is visible
+  setTimeout(() => {
+    trailMap.invalidateSize();
+    drawTrail(sosId, true);
+  }, 50);
+}
+
+function drawTrail(sosId, fit = false) {
+  if (!trailMap) return;
+
+  const sos = currentSOSRecords.find(r => r.id === sosId);
+  const trail = sosLocationTrails.get(sosId) || [];
+  const points = [];
+
+  if (sos?.location?.lat && sos?.location?.lng) points.push([sos.location.lat, sos.location.lng]);
+  trail.forEach(p => points.push([p.lat, p.lng]));
+
+  trailLayer.clearLayers();
+  if (!points.length) return;
+
+  L.polyline(points, { color: '#8b5cf6', weight: 4, opacity: 0.8 }).addTo(trailLayer);
+  L.circleMarker(points[0], { radius: 6, color: '#6b7280', fillOpacity: 0.8 })
+    .bindTooltip('SOS sent here')
+    .addTo(trailLayer);
+
+  const latest = trail[trail.length - 1];
+  const latestLatLng = points[points.length - 1];
+  L.circleMarker(latestLatLng, { radius: 10, color: '#dc2626', fillColor: '#dc2626', fillOpacity: 0.9 })
+    .bindTooltip('Latest position', { permanent: true, direction: 'top' })
+    .addTo(trailLayer);
+
+  if (latest?.accuracy) {
+    L.circle(latestLatLng, { radius: latest.accuracy, color: '#dc2626', weight: 1, fillOpacity: 0.1 }).addTo(trailLayer);
+  }
+
+  const user = sos?.user || {};
+  const userName = `${user.first_name || ''} ${user.last_name || ''}`.trim() || 'Unknown User';
+  document.getElementById('trailInfo').textContent = latest
+    ? `${userName} · ${trail.length} update${trail.length > 1 ? 's' : ''} · last ${getTimeAgo(latest.recorded_at)}`
+    : `${userName} · no live updates yet`;
+
+  if (fit) {
+    trailMap.fitBounds(L.latLngBounds(points).pad(0.3), { maxZoom: 17 });
+  } else {
+    trailMap.panTo(latestLatLng);
+  }
+}
+
+function closeTrailModal() {
+  document.getElementById('trailModal')?.classList.remove('show');
+  openTrailSOSId = null;
+}
+
+function renderPushDelivery(push) {
+  if (!push) return '';
+
+  const ok = push.delivered_to > 0;
+  const label = ok ? `Notified (${push.delivered_to})` : 'Not notified';
+  const title = ok
+    ? `Push for "${push.status}" delivered ${getTimeAgo(push.sent_at)}`
+    : `Push for "${push.status}" failed: ${push.error || 'unknown error'}`;
+
+  return `<span class="sos-push-state ${ok ? 'ok' : 'failed'}" title="${escapeHtml(title)}">
+    <i class="fas ${ok ? 'fa-bell' : 'fa-bell-slash'}"></i> ${label}
+  </span>`;
 }
 
 function updateStats(records) {
   const today = new Date().toDateString();
   const todayRecords = records.filter(r => new Date(r.created_at).toDateString() === today);
+  const count = status => todayRecords.filter(r => r.status === status).length;
 
-  const waiting = todayRecords.filter(r => r.status === 'waiting').length;
-  const dispatched = todayRecords.filter(r => r.status === 'dispatched').length;
-  const arrived = todayRecords.filter(r => r.status === 'arrived').length;
-
-  document.getElementById('waitingCount').textContent = waiting;
-  document.getElementById('dispatchedCount').textContent = dispatched;
-  document.getElementById('arrivedCount').textContent = arrived;
+  document.getElementById('waitingCount').textContent = count('waiting');
+  document.getElementById('dispatchedCount').textContent = count('dispatched');
+  document.getElementById('arrivedCount').textContent = count('arrived');
+  document.getElementById('resolvedCount').textContent = count('resolved');
+  document.getElementById('unableToLocateCount').textContent = count('unable_to_locate');
+  document.getElementById('cancelledCount').textContent = count('cancelled');
   document.getElementById('totalCount').textContent = todayRecords.length;
 }
 
@@ -196,8 +1195,12 @@ function openStatusModal(sosId, currentStatus) {
   const sosIdInput = document.getElementById('sosId');
 
   sosIdInput.value = sosId;
-  currentStatusEl.textContent = currentStatus.charAt(0).toUpperCase() + currentStatus.slice(1);
+  currentStatusEl.textContent = formatStatus(currentStatus);
   newStatusSelect.value = currentStatus;
+  document.getElementById('statusNote').value = '';
+
+  const sos = currentSOSRecords.find(r => r.id === sosId);
+  document.getElementById('statusSilentWarning').style.display = sos?.silent ? 'flex' : 'none';
 
   modal.classList.add('show');
 }
@@ -207,24 +1210,127 @@ function closeStatusModal() {
   modal.classList.remove('show');
 }
 
-async function updateSOSStatus(supabase, sosId, newStatus) {
+// Status-specific wording for the push sent to the requester
+const SOS_PUSH_MESSAGES = {
+  waiting: {
+    title: '🕒 SOS Received',
+    body: 'Your emergency request is in the queue. Help is being coordinated.'
+  },
+  dispatched: {
+    title: '🚑 Help Is On The Way',
+    body: 'Emergency responders have been dispatched to your location.'
+  },
+  arrived: {
+    title: '✅ Responders Have Arrived',
+    body: 'Emergency responders are now at your location.'
+  },
+  resolved: {
+    title: '🏁 SOS Resolved',
+    body: 'Your emergency has been marked as resolved. Stay safe.'
+  },
+  unable_to_locate: {
+    title: '📍 We Could Not Find You',
+    body: 'Responders could not locate you. Call the CDRRMO hotline at (049) 562-3333 or send a new SOS.'
+  },
+  cancelled: {
+    title: '🚫 SOS Cancelled',
+    body: 'Your SOS request has been cancelled by the dispatcher.'
+  }
+};
+
+// Targeted push to the person who sent the SOS. Never throws: the outcome is
+// returned so it can be stored on the SOS record.
+async function notifySOSRequester(supabase, sos) {
+  const APP_ORIGIN = window.location.origin;
+  const wording = SOS_PUSH_MESSAGES[sos.status] || {
+    title: 'SOS Status Update',
+    body: `Your SOS status is now: ${sos.status}`
+  };
+
+  const result = {
+    status: sos.status,
+    sent_at: new Date().toISOString(),
+    delivered_to: 0,
+    failed: 0,
+    error: null
+  };
+
   try {
-    // Update the status (no need to fetch user_id since we're not sending notifications)
-    const { error } = await supabase
+    const response = await supabase.functions.invoke('send-push', {
+      body: {
+        title: wording.title,
+        body: wording.body,
+        icon: `${APP_ORIGIN}/public/img/icon-192.png`,
+        badge: `${APP_ORIGIN}/public/img/badge-72.png`,
+        url: `${APP_ORIGIN}/public/html/index.html?sos=${sos.id}`,
+        urgency: 'high',
+        user_ids: [sos.user_id],
+        data: {
+          type: 'sos_status',
+          sosId: sos.id,
+          status: sos.status
+        }
+      }
+    });
+
+    if (response.error) throw new Error(response.error.message || 'Push failed');
+
+    result.delivered_to = response.data?.delivered_to || 0;
+    result.failed = response.data?.failed || 0;
+    if (!result.delivered_to) result.error = response.data?.message || 'No active push subscription';
+  } catch (err) {
+    console.error('Requester push failed:', err);
+    result.error = err.message;
+  }
+
+  return result;
+}
+
+async function updateSOSStatus(supabase, sosId, newStatus, note = '') {
+  try {
+    const { data: previous, error: fetchError } = await supabase
+      .from('sos_requests')
+      .select('status')
+      .eq('id', sosId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    const { data: sos, error } = await supabase
       .from('sos_requests')
       .update({ 
         status: newStatus,
+        status_note: note.trim() || null,
         updated_at: new Date().toISOString()
       })
-      .eq('id', sosId);
+      .eq('id', sosId)
+      .select('id, user_id, status, silent')
+      .single();
 
     if (error) throw error;
 
     console.log('✅ Status updated to:', newStatus, 'for SOS:', sosId);
-    
-    // ✅ REMOVED: No push notification sent to the user
-    
-    alert(`Status updated to: ${newStatus}`);
+
+    let notice = '';
+    if (sos.silent) {
+      // A push could light up the screen in front of whoever the requester is hiding from
+      notice = '\nSilent SOS: the requester was not notified.';
+    } else if (previous.status !== newStatus) {
+      const pushResult = await notifySOSRequester(supabase, sos);
+
+      const { error: pushSaveError } = await supabase
+        .from('sos_requests')
+        .update({ push_delivery: pushResult })
+        .eq('id', sosId);
+
+      if (pushSaveError) console.warn('Failed to record push delivery:', pushSaveError);
+
+      notice = pushResult.delivered_to > 0
+        ? `\nRequester notified on ${pushResult.delivered_to} device(s).`
+        : `\nRequester could not be notified: ${pushResult.error}`;
+    }
+
+    alert(`Status updated to: ${formatStatus(newStatus)}${notice}`);
     closeStatusModal();
     await loadSOSRecords(supabase);
   } catch (err) {
@@ -242,9 +1348,8 @@ function setupSearchAndFilter() {
     const statusValue = statusFilter?.value || 'all';
 
     const filtered = currentSOSRecords.filter(sos => {
-      const user = sos.user || {};
-      const userName = `${user.first_name || ''} ${user.last_name || ''}`.toLowerCase();
-      const matchesSearch = userName.includes(searchQuery);
+      const searchable = `${getReporterName(sos)} ${sos.victim_name || ''} ${sos.barangay || ''}`.toLowerCase();
+      const matchesSearch = searchable.includes(searchQuery);
       const matchesStatus = statusValue === 'all' || sos.status === statusValue;
 
       return matchesSearch && matchesStatus;
@@ -277,15 +1382,53 @@ document.addEventListener('DOMContentLoaded', async () => {
     return;
   }
 
+  // Shared geocoder, before the first render so old requests still get addresses
+  try {
+    geocoding = await import('/public/javascript/geocoding.js');
+  } catch (err) {
+    console.error('❌ Geocoding unavailable:', err);
+  }
+
+  // Chat module (ES module, so it is imported rather than loaded with a script tag)
+  try {
+    sosChat = await import('/public/javascript/sos-chat.js');
+    setupChatPanel(supabase);
+    sosChat.flushChatQueue(supabase);
+    window.addEventListener('online', () => sosChat.flushChatQueue(supabase));
+  } catch (err) {
+    console.error('❌ SOS chat unavailable:', err);
+  }
+
   // Load SOS records
   await loadSOSRecords(supabase);
   setupSearchAndFilter();
 
+  // Deep link from an escalation push: admin-sos.html?sos=<id>
+  const linkedSOSId = new URLSearchParams(location.search).get('sos');
+  const linkedSOS = currentSOSRecords.find(r => r.id === linkedSOSId);
+  if (linkedSOS) openStatusModal(linkedSOS.id, linkedSOS.status);
+
   // Setup realtime subscription
   supabase.channel('sos-realtime')
-    .on('postgres_changes', { event: '*', schema: 'public', table: 'sos_requests' }, () => {
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'sos_requests' }, (payload) => {
+      if (payload.eventType === 'UPDATE' && isAddressOnlyUpdate(payload.new)) {
+        patchSOSAddress(payload.new.id, payload.new);
+        return;
+      }
       loadSOSRecords(supabase);
     })
+    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'sos_location_history' }, (payload) => {
+      handleLocationUpdate(payload.new);
+    })
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'sms_messages' }, (payload) => {
+      handleSMSUpdate(payload.new);
+    })
+    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'sos_status_history' }, (payload) => {
+      handleStatusHistoryInsert(supabase, payload.new);
+    })
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'sos_messages' }, (payload) => {
+      handleChatMessage(supabase, payload.eventType, payload.new);
+    })
     .subscribe();
 
   // Refresh button
@@ -296,20 +1439,31 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Status modal handlers
   const modal = document.getElementById('statusModal');
   const updateStatusBtn = document.getElementById('updateStatusBtn');
-  const closeButtons = document.querySelectorAll('.close, .btn-cancel');
+  const trailModal = document.getElementById('trailModal');
+  const timelineModal = document.getElementById('timelineModal');
+  const medicalIdModal = document.getElementById('medicalIdModal');
+  const closeButtons = document.querySelectorAll('#statusModal .close, #statusModal .btn-cancel');
 
   updateStatusBtn?.addEventListener('click', async () => {
     const sosId = document.getElementById('sosId').value;
     const newStatus = document.getElementById('newStatus').value;
-    await updateSOSStatus(supabase, sosId, newStatus);
+    const note = document.getElementById('statusNote').value;
+    await updateSOSStatus(supabase, sosId, newStatus, note);
   });
 
   closeButtons.forEach(btn => {
     btn.addEventListener('click', closeStatusModal);
   });
 
+  document.getElementById('closeTrailModal')?.addEventListener('click', closeTrailModal);
+  document.getElementById('closeTimelineModal')?.addEventListener('click', closeTimelineModal);
+  document.getElementById('closeMedicalIdModal')?.addEventListener('click', closeMedicalIdModal);
+
   window.addEventListener('click', (e) => {
     if (e.target === modal) closeStatusModal();
+    if (e.target === trailModal) closeTrailModal();
+    if (e.target === timelineModal) closeTimelineModal();
+    if (e.target === medicalIdModal) closeMedicalIdModal();
   });
 
   // Auto-refresh every 2 minutes
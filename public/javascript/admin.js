@@ -1,37 +1,86 @@
 let currentUsers = [];
 let currentIncidents = [];
 
-window.addressCache = new Map();
-
-async function getAddressFromCoords(lat, lng) {
-  const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
-  if (window.addressCache.has(key)) return window.addressCache.get(key);
+// Incidents store the address resolved when they were reported. Older rows fall back to
+// the shared geocoding.js module, imported on first use since this is a classic script.
+// (Named apart from admin-sos.js's `geocoding`: both scripts share admin-sos.html's global scope.)
+let geocodingImport = null;
 
+async function getIncidentAddress(incident) {
+  geocodingImport ||= import('/public/javascript/geocoding.js');
   try {
-    const res = await fetch(`https://photon.komoot.io/reverse?lon=${lng}&lat=${lat}&limit=1`);
-    const data = await res.json();
-    let address = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
-
-    if (data.features?.[0]?.properties) {
-      const p = data.features[0].properties;
-      address = [
-        p.name || p.street || '',
-        p.house_number ? `#${p.house_number}` : '',
-        p.suburb || p.city || p.town || 'San Pablo City',
-        'Laguna',
-        'Philippines'
-      ].filter(Boolean).join(', ');
-    }
+    return await (await geocodingImport).getRecordAddress(incident);
+  } catch (err) {
+    console.error('❌ Geocoding unavailable:', err);
+    return `${incident.location.lat.toFixed(5)}, ${incident.location.lng.toFixed(5)}`;
+  }
+}
+
+// Rows saved before addresses were stored render with coordinates; their addresses are filled in
+// afterwards and written back, so neither this table nor the feed geocodes them again. One pass at
+// a time: it reads currentIncidents as it goes, so rows from a reload mid-pass are picked up too.
+let fillingIncidentAddresses = null;
 
-    window.addressCache.set(key, address);
-    return address;
+function fillIncidentAddresses(supabase) {
+  if (fillingIncidentAddresses) return;
+  fillingIncidentAddresses = fillLegacyIncidentAddresses(supabase).finally(() => { fillingIncidentAddresses = null; });
+}
+
+async function fillLegacyIncidentAddresses(supabase) {
+  geocodingImport ||= import('/public/javascript/geocoding.js');
+  let geocoding;
+  try {
+    geocoding = await geocodingImport;
   } catch (err) {
-    const fallback = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
-    window.addressCache.set(key, fallback);
-    return fallback;
+    console.error('❌ Geocoding unavailable:', err);
+    return;
+  }
+
+  const tried = new Set();
+  for (;;) {
+    const incident = currentIncidents.find(i => !i.address && i.location?.lat && i.location?.lng && !tried.has(i.id));
+    if (!incident) return;
+    tried.add(incident.id);
+
+    const resolved = await geocoding.resolveAddress(incident.location.lat, incident.location.lng);
+    if (!resolved) continue;
+
+    patchIncidentAddress(incident.id, resolved);
+    const { error } = await supabase
+      .from('incidents')
+      .update({ address: resolved.address, barangay: resolved.barangay })
+      .eq('id', incident.id)
+      .is('address', null);
+    if (error) console.warn('⚠️ Could not save address for incident', incident.id, error);
   }
 }
 
+function patchIncidentAddress(incidentId, { address, barangay }) {
+  const incident = currentIncidents.find(i => i.id === incidentId);
+  if (incident) Object.assign(incident, { address, barangay });
+
+  document.querySelectorAll(`[data-address-for="${incidentId}"]`).forEach(el => {
+    el.textContent = address;
+    if (barangay && !el.nextElementSibling) {
+      el.insertAdjacentHTML('afterend', `<div style="margin-top:4px;font-size:12px;color:#666;">Brgy. ${escapeHtml(barangay)}</div>`);
+    }
+  });
+}
+
+// An address write-back changes nothing else on the row: patch it instead of reloading the table
+function isAddressOnlyIncidentUpdate(row) {
+  const incident = currentIncidents.find(i => i.id === row.id);
+  if (!incident || !row.address) return false;
+
+  // Realtime and PostgREST may format the same timestamp differently
+  const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b) ||
+    (typeof a === 'string' && typeof b === 'string' && !Number.isNaN(Date.parse(a)) && Date.parse(a) === Date.parse(b));
+
+  return Object.keys(row)
+    .filter(key => key in incident && key !== 'address' && key !== 'barangay' && key !== 'reported_by')
+    .every(key => sameValue(incident[key], row[key]));
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
   const supabase = await new Promise(resolve => {
     if (window.supabase) return resolve(window.supabase);
@@ -58,6 +107,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (page === 'admin-dashboard.html' || page === '') {
     updateStats(supabase);
     setupQuickActions(supabase, session);
+    setupSafetyCheckPanel(supabase);
   }
 
   if (page === 'admin-users.html') {
@@ -70,7 +120,14 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (page === 'admin-incident.html') {
     await loadIncidents(supabase);
     setupIncidentSearchAndFilter();
-    setupRealtime('incidents', () => loadIncidents(supabase));
+    setupIncidentReview(supabase);
+    setupRealtime('incidents', (payload) => {
+      if (payload.eventType === 'UPDATE' && isAddressOnlyIncidentUpdate(payload.new)) {
+        patchIncidentAddress(payload.new.id, payload.new);
+        return;
+      }
+      loadIncidents(supabase);
+    });
   }
 
   window.logout = async () => {
@@ -90,65 +147,82 @@ async function loadIncidents(supabase) {
   const tbody = document.querySelector('#incidentsTableBody') || document.querySelector('tbody');
   if (!tbody) return;
 
-  tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:40px;color:#666;">Loading incidents...</td></tr>';
+  tbody.innerHTML = '<tr><td colspan="8" style="text-align:center;padding:40px;color:#666;">Loading incidents...</td></tr>';
 
   const { data, error } = await supabase
     .from('incidents')
     .select(`
-      id, type, description, location, photo_url, created_at,
-      reported_by (first_name, last_name, username)
+      id, type, description, location, address, barangay, photo_url, created_at,
+      moderation_status, moderated_at, rejection_reason, broadcast_at, status, status_updated_at,
+      reported_by (id, first_name, last_name, username, created_at)
     `)
     .order('created_at', { ascending: false });
 
   if (error || !data) {
-    tbody.innerHTML = `<tr><td colspan="7" style="color:#d32f2f;">Error loading incidents.</td></tr>`;
+    tbody.innerHTML = `<tr><td colspan="8" style="color:#d32f2f;">Error loading incidents.</td></tr>`;
     return;
   }
 
   if (data.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:50px;color:#999;">No incidents reported yet.</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="8" style="text-align:center;padding:50px;color:#999;">No incidents reported yet.</td></tr>';
     return;
   }
 
-  currentIncidents = data;
+  // Moderation queue first, newest first within each group
+  currentIncidents = data.sort((a, b) =>
+    (a.moderation_status === 'pending' ? 0 : 1) - (b.moderation_status === 'pending' ? 0 : 1));
 
-  const rows = await Promise.all(data.map(async (incident) => {
-    const reporter = incident.reported_by || {};
-    const name = `${reporter.first_name || ''} ${reporter.last_name || ''}`.trim() || reporter.username || 'Anonymous';
-    const photo = incident.photo_url
-      ? `<img src="${incident.photo_url}" alt="Photo" style="width:60px;height:60px;object-fit:cover;border-radius:6px;">`
-      : '<div style="width:60px;height:60px;background:#eee;border-radius:6px;display:flex;align-items:center;justify-content:center;color:#999;font-size:12px;">No Photo</div>';
+  tbody.innerHTML = currentIncidents.map(renderIncidentRow).join('');
+  fillIncidentAddresses(supabase);
+}
 
-    const date = new Date(incident.created_at).toLocaleString('en-PH', {
-      month: 'short', day: 'numeric', year: 'numeric',
-      hour: 'numeric', minute: '2-digit', hour12: true
-    });
+const MODERATION_LABELS = { pending: 'Pending review', verified: 'Verified', rejected: 'Rejected' };
 
-    let locationDisplay = 'Not provided';
-    if (incident.location?.lat && incident.location?.lng) {
-      const lat = incident.location.lat;
-      const lng = incident.location.lng;
-      const mapUrl = `https://maps.google.com/?q=${lat},${lng}`;
-      const address = await getAddressFromCoords(lat, lng);
-      locationDisplay = `<a href="${mapUrl}" target="_blank" style="color:#005ea5;font-weight:600;text-decoration:underline;">${escapeHtml(address)}</a>`;
-    }
+function renderIncidentRow(incident) {
+  const reporter = incident.reported_by || {};
+  const name = `${reporter.first_name || ''} ${reporter.last_name || ''}`.trim() || reporter.username || 'Anonymous';
+  const photo = incident.photo_url
+    ? `<img src="${incident.photo_url}" alt="Photo" style="width:60px;height:60px;object-fit:cover;border-radius:6px;">`
+    : '<div style="width:60px;height:60px;background:#eee;border-radius:6px;display:flex;align-items:center;justify-content:center;color:#999;font-size:12px;">No Photo</div>';
 
-    return `
-      <tr>
-        <td><strong>${escapeHtml(incident.type || 'General')}</strong></td>
-        <td style="max-width:300px;word-wrap:break-word;">${escapeHtml(incident.description || '')}</td>
-        <td style="max-width:280px;">${locationDisplay}</td>
-        <td>${escapeHtml(name)}</td>
-        <td style="font-size:0.9em;">${date}</td>
-        <td>${photo}</td>
-        <td>
-          <button onclick="deleteIncident('${incident.id}')" style="background:#d32f2f;color:white;border:none;padding:6px 10px;border-radius:4px;cursor:pointer;font-size:0.85em;">Delete</button>
-        </td>
-      </tr>
-    `;
-  }));
+  const date = new Date(incident.created_at).toLocaleString('en-PH', {
+    month: 'short', day: 'numeric', year: 'numeric',
+    hour: 'numeric', minute: '2-digit', hour12: true
+  });
 
-  tbody.innerHTML = rows.join('');
+  let locationDisplay = 'Not provided';
+  if (incident.location?.lat && incident.location?.lng) {
+    const lat = incident.location.lat;
+    const lng = incident.location.lng;
+    const mapUrl = `https://maps.google.com/?q=${lat},${lng}`;
+    const address = incident.address || `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    locationDisplay = `<a href="${mapUrl}" target="_blank" data-address-for="${incident.id}" style="color:#005ea5;font-weight:600;text-decoration:underline;">${escapeHtml(address)}</a>`;
+    if (incident.barangay) locationDisplay += `<div style="margin-top:4px;font-size:12px;color:#666;">Brgy. ${escapeHtml(incident.barangay)}</div>`;
+  } else if (incident.location?.manual) {
+    locationDisplay = escapeHtml(incident.location.manual);
+  }
+
+  const status = incident.moderation_status || 'pending';
+
+  return `
+    <tr class="${status === 'pending' ? 'incident-row-pending' : ''}">
+      <td>
+        <span class="moderation-badge ${status}">${MODERATION_LABELS[status]}</span>
+        ${status === 'rejected' && incident.rejection_reason ? `<div class="moderation-reason">${escapeHtml(incident.rejection_reason)}</div>` : ''}
+        ${status === 'verified' ? `<span class="incident-status-badge ${incident.status || 'reported'}">${INCIDENT_STATUS_LABELS[incident.status || 'reported']}</span>` : ''}
+      </td>
+      <td><strong>${escapeHtml(incident.type || 'General')}</strong></td>
+      <td style="max-width:300px;word-wrap:break-word;">${escapeHtml(incident.description || '')}</td>
+      <td style="max-width:280px;">${locationDisplay}</td>
+      <td>${escapeHtml(name)}</td>
+      <td style="font-size:0.9em;">${date}</td>
+      <td>${photo}</td>
+      <td>
+        <button class="btn-review-incident" data-id="${incident.id}">${status === 'pending' ? 'Review' : 'Details'}</button>
+        <button onclick="deleteIncident('${incident.id}')" style="background:#d32f2f;color:white;border:none;padding:6px 10px;border-radius:4px;cursor:pointer;font-size:0.85em;">Delete</button>
+      </td>
+    </tr>
+  `;
 }
 
 window.deleteIncident = async (id) => {
@@ -233,18 +307,21 @@ function setupUserSearchAndFilter() {
 function setupIncidentSearchAndFilter() {
   const search = document.getElementById('incidentSearch');
   const typeFilter = document.getElementById('incidentTypeFilter');
-  if (!search && !typeFilter) return;
+  const moderationFilter = document.getElementById('incidentModerationFilter');
+  if (!search && !typeFilter && !moderationFilter) return;
 
   const apply = async () => {
     const query = search?.value.toLowerCase() || '';
     const type = typeFilter?.value || 'all';
+    const moderation = moderationFilter?.value || 'all';
 
     // Filter the currentIncidents array instead of reloading
     const filtered = currentIncidents.filter(i => {
       const matchesSearch = (i.description || '').toLowerCase().includes(query) || 
                            (i.type || '').toLowerCase().includes(query);
       const matchesType = type === 'all' || i.type === type;
-      return matchesSearch && matchesType;
+      const matchesModeration = moderation === 'all' || i.moderation_status === moderation;
+      return matchesSearch && matchesType && matchesModeration;
     });
 
     // Render filtered results
@@ -253,6 +330,7 @@ function setupIncidentSearchAndFilter() {
 
   search?.addEventListener('input', apply);
   typeFilter?.addEventListener('change', apply);
+  moderationFilter?.addEventListener('change', apply);
 }
 
 // New function to render filtered incidents
@@ -261,44 +339,11 @@ async function renderFilteredIncidents(incidents) {
   if (!tbody) return;
 
   if (incidents.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:50px;color:#999;">No incidents match your filters.</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="8" style="text-align:center;padding:50px;color:#999;">No incidents match your filters.</td></tr>';
     return;
   }
 
-  const rows = await Promise.all(incidents.map(async (incident) => {
-    const reporter = incident.reported_by || {};
-    const name = `${reporter.first_name || ''} ${reporter.last_name || ''}`.trim() || reporter.username || 'Anonymous';
-    const photo = incident.photo_url
-      ? `<img src="${incident.photo_url}" alt="Photo" style="width:60px;height:60px;object-fit:cover;border-radius:6px;">`
-      : '<div style="width:60px;height:60px;background:#eee;border-radius:6px;display:flex;align-items:center;justify-content:center;color:#999;font-size:12px;">No Photo</div>';
-
-    const date = new Date(incident.created_at).toLocaleString('en-PH', {
-      month: 'short', day: 'numeric', year: 'numeric',
-      hour: 'numeric', minute: '2-digit', hour12: true
-    });
-
-    let locationDisplay = 'Not provided';
-    if (incident.location?.lat && incident.location?.lng) {
-      const lat = incident.location.lat;
-      const lng = incident.location.lng;
-      const mapUrl = `https://maps.google.com/?q=${lat},${lng}`;
-      const address = await getAddressFromCoords(lat, lng);
-      locationDisplay = `<a href="${mapUrl}" target="_blank" style="color:#005ea5;font-weight:600;text-decoration:underline;">${escapeHtml(address)}</a>`;
-    }
-
-    return `
-      <tr>
-        <td><strong>${escapeHtml(incident.type || 'General')}</strong></td>
-        <td style="max-width:300px;word-wrap:break-word;">${escapeHtml(incident.description || '')}</td>
-        <td style="max-width:280px;">${locationDisplay}</td>
-        <td>${escapeHtml(name)}</td>
-        <td style="font-size:0.9em;">${date}</td>
-        <td>${photo}</td>
-      </tr>
-    `;
-  }));
-
-  tbody.innerHTML = rows.join('');
+  tbody.innerHTML = incidents.map(renderIncidentRow).join('');
 }
 
 function setupUserModal(supabase) {
@@ -390,6 +435,7 @@ function setupQuickActions(supabase, session) {
   const alertTitle = document.getElementById('alertTitle');
   const alertMessage = document.getElementById('alertMessage');
   const urgentAlert = document.getElementById('urgentAlert');
+  const safetyCheckAlert = document.getElementById('safetyCheckAlert');
   const previewTitle = document.getElementById('previewTitle');
   const previewMessage = document.getElementById('previewMessage');
   const charCount = document.getElementById('charCount');
@@ -441,6 +487,8 @@ function setupQuickActions(supabase, session) {
     const title = alertTitle.value.trim();
     const body = alertMessage.value.trim();
     const isUrgent = urgentAlert.checked;
+    const askSafety = safetyCheckAlert?.checked;
+    let safetyCheck = null;
 
     if (!title || !body) {
       showStatus('Please fill in all required fields', 'error');
@@ -454,6 +502,19 @@ function setupQuickActions(supabase, session) {
     try {
       console.log('📢 Starting broadcast alert to ALL users...');
 
+      // "Are you safe?" check-in: the id rides along in the push so the answer buttons know what to answer
+      if (askSafety) {
+        const { data, error } = await supabase
+          .from('safety_checks')
+          .insert({ title, message: body, created_by: session.user.id })
+          .select('id')
+          .single();
+
+        if (error) throw new Error('Could not create safety check-in: ' + error.message);
+        safetyCheck = data;
+        console.log('🙋 Safety check-in created:', safetyCheck.id);
+      }
+
       // ✅ CRITICAL FIX: Use absolute URLs for mobile compatibility
       const notificationPayload = {
         title: `🚨 ${title}`,
@@ -467,6 +528,7 @@ function setupQuickActions(supabase, session) {
         data: {
           alertType: 'admin_broadcast',
           isUrgent: isUrgent,
+          safetyCheckId: safetyCheck?.id || null,
           timestamp: Date.now()
         }
         // ✅ NO user_ids = BROADCAST to ALL subscribers
@@ -486,6 +548,7 @@ function setupQuickActions(supabase, session) {
       }
 
       const result = response.data;
+      if (safetyCheck) loadSafetyCheck(supabase);
 
       if (result && result.delivered_to > 0) {
         showStatus(
@@ -506,6 +569,17 @@ function setupQuickActions(supabase, session) {
     } catch (err) {
       console.error('❌ Broadcast error:', err);
       showStatus('Failed to broadcast alert: ' + err.message, 'error');
+
+      // Nobody was asked, so don't leave an empty check-in open (admins can close, not delete)
+      if (safetyCheck) {
+        const { error: closeError } = await supabase
+          .from('safety_checks')
+          .update({ closed_at: new Date().toISOString() })
+          .eq('id', safetyCheck.id);
+
+        if (closeError) console.error('❌ Could not close unsent safety check:', closeError);
+        loadSafetyCheck(supabase);
+      }
     } finally {
       sendAlertBtn.disabled = false;
       sendAlertBtn.innerHTML = '<i class="fas fa-paper-plane"></i> Send Alert';
@@ -546,6 +620,489 @@ function setupQuickActions(supabase, session) {
   });
 }
 
+// ==================== SAFETY CHECK-IN TALLY ====================
+let activeSafetyCheck = null;
+
+async function setupSafetyCheckPanel(supabase) {
+  if (!document.getElementById('safetyCheckPanel')) return;
+
+  document.getElementById('closeSafetyCheckBtn')?.addEventListener('click', () => closeSafetyCheck(supabase));
+  setupRealtime('safety_check_responses', (payload) => {
+    if (payload.new?.check_id && payload.new.check_id === activeSafetyCheck?.id) loadSafetyTally(supabase);
+  });
+
+  await loadSafetyCheck(supabase);
+}
+
+async function loadSafetyCheck(supabase) {
+  const { data, error } = await supabase
+    .from('safety_checks')
+    .select('id, title, message, created_at')
+    .is('closed_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error loading safety check-in:', error);
+    return;
+  }
+
+  activeSafetyCheck = data;
+  document.getElementById('safetyCheckPanel').style.display = data ? '' : 'none';
+  if (!data) return;
+
+  const sent = new Date(data.created_at).toLocaleString('en-PH', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  document.getElementById('safetyCheckTitle').textContent = `“${data.title}” · sent ${sent}`;
+  await loadSafetyTally(supabase);
+}
+
+async function loadSafetyTally(supabase) {
+  if (!activeSafetyCheck) return;
+
+  const [responses, users] = await Promise.all([
+    supabase
+      .from('safety_check_responses')
+      .select('user_id, status, location, responded_at, users(first_name, last_name, phone)')
+      .eq('check_id', activeSafetyCheck.id)
+      .order('responded_at', { ascending: false }),
+    supabase.from('users').select('*', { count: 'exact', head: true })
+  ]);
+
+  if (responses.error) {
+    console.error('❌ Error loading safety check-in answers:', responses.error);
+    return;
+  }
+
+  const answers = responses.data || [];
+  const needHelp = answers.filter(a => a.status === 'need_help');
+  const safe = answers.length - needHelp.length;
+
+  document.getElementById('safetyCountSafe').textContent = safe;
+  document.getElementById('safetyCountHelp').textContent = needHelp.length;
+  document.getElementById('safetyCountPending').textContent = users.count != null
+    ? Math.max(0, users.count - answers.length)
+    : '–';
+
+  const list = document.getElementById('safetyNeedHelpList');
+  list.innerHTML = needHelp.length
+    ? needHelp.map(a => {
+      const name = `${a.users?.first_name || ''} ${a.users?.last_name || ''}`.trim() || 'Unknown user';
+      const time = new Date(a.responded_at).toLocaleTimeString('en-PH', { hour: 'numeric', minute: '2-digit' });
+      return `
+        <li>
+          <div><strong>${escapeHtml(name)}</strong> · ${time}</div>
+          <div>
+            ${a.users?.phone ? `<a href="tel:${escapeHtml(a.users.phone)}"><i class="fas fa-phone"></i> ${escapeHtml(a.users.phone)}</a>` : ''}
+            ${a.location?.lat ? `<a href="https://maps.google.com/?q=${a.location.lat},${a.location.lng}" target="_blank"><i class="fas fa-map-marker-alt"></i> Map</a>` : ''}
+          </div>
+        </li>
+      `;
+    }).join('')
+    : '<li class="empty">No one has asked for help.</li>';
+}
+
+async function closeSafetyCheck(supabase) {
+  if (!activeSafetyCheck || !confirm('End this check-in? Users will no longer be able to answer.')) return;
+
+  const { error } = await supabase
+    .from('safety_checks')
+    .update({ closed_at: new Date().toISOString() })
+    .eq('id', activeSafetyCheck.id);
+
+  if (error) return alert('Failed to end check-in: ' + error.message);
+
+  console.log('✅ Safety check-in ended:', activeSafetyCheck.id);
+  await loadSafetyCheck(supabase);
+}
+
+// ==================== INCIDENT MODERATION ====================
+// Reports are private until verified here; verifying is what sends the city-wide push
+// (incident-report.js used to broadcast on submit, so one prank woke everyone up).
+let reviewIncident = null;
+let reviewMap = null;
+// Pushed this session but broadcast_at couldn't be saved: never offer to push these again
+const unrecordedBroadcasts = new Set();
+let reviewMarker = null;
+
+function setupIncidentReview(supabase) {
+  const modal = document.getElementById('incidentReviewModal');
+  if (!modal) return;
+
+  const close = () => {
+    modal.classList.remove('show');
+    reviewIncident = null;
+  };
+
+  document.getElementById('closeIncidentReview')?.addEventListener('click', close);
+  modal.addEventListener('click', e => { if (e.target === modal) close(); });
+
+  document.addEventListener('click', e => {
+    const btn = e.target.closest('.btn-review-incident');
+    if (btn) openIncidentReview(supabase, btn.dataset.id);
+  });
+
+  document.getElementById('verifyIncidentBtn')?.addEventListener('click', () => verifyIncident(supabase));
+  document.getElementById('rejectIncidentBtn')?.addEventListener('click', () => rejectIncident(supabase));
+  document.getElementById('retryBroadcastBtn')?.addEventListener('click', () => retryIncidentBroadcast(supabase));
+  document.getElementById('postIncidentUpdateBtn')?.addEventListener('click', () => postIncidentUpdate(supabase));
+}
+
+async function openIncidentReview(supabase, incidentId) {
+  const incident = currentIncidents.find(i => i.id === incidentId);
+  if (!incident) return;
+
+  reviewIncident = incident;
+  const modal = document.getElementById('incidentReviewModal');
+  const status = incident.moderation_status || 'pending';
+  const reporter = incident.reported_by || {};
+
+  document.getElementById('reviewIncidentType').textContent = incident.type || 'General';
+  document.getElementById('reviewIncidentDescription').textContent = incident.description || '';
+  document.getElementById('reviewIncidentTime').textContent = new Date(incident.created_at).toLocaleString('en-PH');
+  document.getElementById('reviewIncidentStatus').innerHTML =
+    `<span class="moderation-badge ${status}">${MODERATION_LABELS[status]}</span>`;
+
+  const photo = document.getElementById('reviewIncidentPhoto');
+  photo.innerHTML = incident.photo_url
+    ? `<a href="${incident.photo_url}" target="_blank"><img src="${incident.photo_url}" alt="Incident photo"></a>`
+    : '<p class="review-empty">No photo attached.</p>';
+
+  document.getElementById('reviewIncidentActions').style.display = status === 'pending' ? '' : 'none';
+  // Verified but the push never went out (send-push was down when it was verified)
+  document.getElementById('retryBroadcastBtn').style.display =
+    status === 'verified' && !incident.broadcast_at && !unrecordedBroadcasts.has(incident.id) ? '' : 'none';
+  document.getElementById('rejectionReason').value = '';
+
+  // Response lifecycle only applies to reports the public can see
+  document.getElementById('incidentLifecycle').style.display = status === 'verified' ? '' : 'none';
+  document.getElementById('incidentStatusSelect').value = incident.status || 'reported';
+  document.getElementById('incidentUpdateMessage').value = '';
+  if (status === 'verified') renderIncidentTimeline(supabase, incident.id);
+
+  modal.classList.add('show');
+  renderReviewLocation(incident);
+  await renderReporterHistory(supabase, reporter);
+}
+
+async function renderReviewLocation(incident) {
+  const locationEl = document.getElementById('reviewIncidentLocation');
+  const mapEl = document.getElementById('reviewIncidentMap');
+  const { lat, lng, manual } = incident.location || {};
+
+  if (!lat || !lng) {
+    locationEl.textContent = manual ? `Typed by reporter: ${manual}` : 'Location not provided';
+    mapEl.style.display = 'none';
+    return;
+  }
+
+  mapEl.style.display = '';
+  locationEl.innerHTML = `<a href="https://maps.google.com/?q=${lat},${lng}" target="_blank">${escapeHtml(await getIncidentAddress(incident))}</a>`;
+
+  if (typeof L === 'undefined') return;
+  if (!reviewMap) {
+    reviewMap = L.map(mapEl, { zoomControl: true });
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '© OpenStreetMap contributors'
+    }).addTo(reviewMap);
+  }
+  reviewMap.setView([lat, lng], 16);
+  if (reviewMarker) reviewMarker.setLatLng([lat, lng]);
+  else reviewMarker = L.marker([lat, lng]).addTo(reviewMap);
+
+  // The map was sized while the modal was hidden
+  setTimeout(() => reviewMap.invalidateSize(), 0);
+}
+
+// Track record of the reporter: account age and what happened to their earlier reports
+async function renderReporterHistory(supabase, reporter) {
+  const el = document.getElementById('reviewReporterHistory');
+  const name = `${reporter.first_name || ''} ${reporter.last_name || ''}`.trim() || reporter.username || 'Anonymous';
+
+  if (!reporter.id) {
+    el.innerHTML = `<strong>${escapeHtml(name)}</strong><p class="review-empty">No account linked to this report.</p>`;
+    return;
+  }
+
+  el.innerHTML = `<strong>${escapeHtml(name)}</strong><p class="review-empty">Loading history...</p>`;
+
+  const { data, error } = await supabase
+    .from('incidents')
+    .select('id, moderation_status')
+    .eq('reported_by', reporter.id);
+
+  if (error) {
+    console.error('❌ Error loading reporter history:', error);
+    el.innerHTML = `<strong>${escapeHtml(name)}</strong><p class="review-empty">Could not load history.</p>`;
+    return;
+  }
+
+  const counts = { pending: 0, verified: 0, rejected: 0 };
+  (data || []).forEach(i => { counts[i.moderation_status] = (counts[i.moderation_status] || 0) + 1; });
+  const memberSince = reporter.created_at
+    ? new Date(reporter.created_at).toLocaleDateString('en-PH', { month: 'short', day: 'numeric', year: 'numeric' })
+    : 'unknown';
+
+  el.innerHTML = `
+    <strong>${escapeHtml(name)}</strong> · member since ${memberSince}
+    <ul class="reporter-history">
+      <li class="verified"><span>${counts.verified}</span> verified</li>
+      <li class="rejected"><span>${counts.rejected}</span> rejected</li>
+      <li class="pending"><span>${counts.pending}</span> pending</li>
+    </ul>
+    ${counts.rejected > counts.verified ? '<p class="reporter-warning"><i class="fas fa-triangle-exclamation"></i> Most of this reporter\'s past reports were rejected.</p>' : ''}
+  `;
+}
+
+// Only a still-pending report can be moderated, so two admins can't both broadcast it
+async function moderateIncident(supabase, changes) {
+  const { data: { session } } = await supabase.auth.getSession();
+  const { data, error } = await supabase
+    .from('incidents')
+    .update({ ...changes, moderated_by: session?.user?.id || null, moderated_at: new Date().toISOString() })
+    .eq('id', reviewIncident.id)
+    .eq('moderation_status', 'pending')
+    .select('id');
+
+  if (error) throw error;
+  if (!data?.length) throw new Error('This report was already reviewed by another admin.');
+}
+
+async function verifyIncident(supabase) {
+  if (!reviewIncident) return;
+  const incident = reviewIncident;
+  const btn = document.getElementById('verifyIncidentBtn');
+  btn.disabled = true;
+
+  try {
+    await moderateIncident(supabase, { moderation_status: 'verified' });
+    console.log('✅ Incident verified:', incident.id);
+  } catch (err) {
+    console.error('❌ Verify failed:', err);
+    alert('Verify failed: ' + err.message);
+    btn.disabled = false;
+    return;
+  }
+
+  btn.disabled = false;
+  document.getElementById('incidentReviewModal').classList.remove('show');
+  reviewIncident = null;
+  await sendIncidentBroadcast(supabase, incident, 'Report verified');
+  loadIncidents(supabase);
+}
+
+async function sendIncidentBroadcast(supabase, incident, headline) {
+  try {
+    const { delivered, recorded } = await broadcastIncident(supabase, incident);
+    alert(recorded
+      ? `${headline} and broadcast to ${delivered} user(s).`
+      : `${headline} and broadcast to ${delivered} user(s), but the broadcast could not be recorded.\n\nDo not send it again.`);
+  } catch (err) {
+    console.error('❌ Incident broadcast failed:', err);
+    alert(`${headline}, but the broadcast failed: ${err.message}\n\nUse "Retry Broadcast" in the report details.`);
+  }
+}
+
+async function retryIncidentBroadcast(supabase) {
+  if (!reviewIncident) return;
+  const incident = reviewIncident;
+
+  document.getElementById('incidentReviewModal').classList.remove('show');
+  reviewIncident = null;
+  await sendIncidentBroadcast(supabase, incident, 'Report');
+  loadIncidents(supabase);
+}
+
+async function rejectIncident(supabase) {
+  if (!reviewIncident) return;
+  const reason = document.getElementById('rejectionReason').value.trim().slice(0, 200);
+
+  if (!reason) {
+    alert('Add a short reason so other admins know why it was rejected.');
+    return;
+  }
+
+  try {
+    await moderateIncident(supabase, { moderation_status: 'rejected', rejection_reason: reason });
+    console.log('🚫 Incident rejected:', reviewIncident.id);
+    document.getElementById('incidentReviewModal').classList.remove('show');
+    reviewIncident = null;
+    loadIncidents(supabase);
+  } catch (err) {
+    console.error('❌ Reject failed:', err);
+    alert('Reject failed: ' + err.message);
+  }
+}
+
+// Same push incident-report.js used to send on submit, now sent on verification
+async function broadcastIncident(supabase, incident) {
+  const APP_ORIGIN = window.location.origin;
+  const { lat, lng, manual } = incident.location || {};
+  const locationText = incident.address
+    ? incident.address.substring(0, 40)
+    : lat && lng
+      ? `${lat.toFixed(4)}, ${lng.toFixed(4)}`
+      : (manual || 'San Pablo City').substring(0, 30);
+
+  const response = await supabase.functions.invoke('send-push', {
+    body: {
+      title: '🚨 New Incident Report',
+      body: `${incident.type} in ${locationText}`,
+      icon: `${APP_ORIGIN}/public/img/icon-192.png`,
+      badge: `${APP_ORIGIN}/public/img/badge-72.png`,
+      image: incident.photo_url || undefined,
+      url: `${APP_ORIGIN}/public/html/index.html`,
+      urgency: 'high',
+      data: {
+        incidentId: incident.id,
+        incidentType: incident.type,
+        location: incident.location,
+        timestamp: Date.now()
+      }
+      // NO user_ids = BROADCAST to ALL subscribers
+    }
+  });
+
+  if (response.error) throw new Error(response.error.message || 'Broadcast failed');
+
+  const delivered = response.data?.delivered_to || 0;
+  console.log(`✅ Incident broadcast to ${delivered} user(s)`);
+
+  // The push already went out, so a failed write must not bring back "Retry Broadcast"
+  const { error } = await supabase.from('incidents').update({ broadcast_at: new Date().toISOString() }).eq('id', incident.id);
+  if (error) {
+    console.error('❌ Broadcast sent but not recorded:', error);
+    unrecordedBroadcasts.add(incident.id);
+  }
+
+  return { delivered, recorded: !error };
+}
+
+// ==================== INCIDENT RESPONSE LIFECYCLE ====================
+// Status changes go through incidents.status (+ status_note) so the trigger writes the public
+// update; note-only updates are inserted into incident_updates directly. Either way the
+// reporter gets a targeted push.
+const INCIDENT_STATUS_LABELS = {
+  reported: 'Reported',
+  acknowledged: 'Acknowledged',
+  responding: 'Responding',
+  resolved: 'Resolved',
+  closed: 'Closed'
+};
+
+const INCIDENT_PUSH_MESSAGES = {
+  acknowledged: { title: '👀 Report Acknowledged', body: 'CDRRMO has seen your report and is assessing it.' },
+  responding: { title: '🚒 Responders On The Way', body: 'Responders are heading to the incident you reported.' },
+  resolved: { title: '✅ Incident Resolved', body: 'The incident you reported has been resolved. Thank you for reporting.' },
+  closed: { title: '📁 Report Closed', body: 'The incident you reported has been closed.' }
+};
+
+async function renderIncidentTimeline(supabase, incidentId) {
+  const list = document.getElementById('incidentTimelineList');
+  if (!list) return;
+
+  const { data, error } = await supabase
+    .from('incident_updates')
+    .select('id, old_status, new_status, message, created_at')
+    .eq('incident_id', incidentId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error loading incident updates:', error);
+    list.innerHTML = '<li class="review-empty">Could not load updates.</li>';
+    return;
+  }
+
+  list.innerHTML = (data || []).map(u => `
+    <li>
+      <span class="incident-status-badge ${u.new_status}">${INCIDENT_STATUS_LABELS[u.new_status] || u.new_status}</span>
+      <span class="review-time">${new Date(u.created_at).toLocaleString('en-PH', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</span>
+      ${u.message ? `<p>${escapeHtml(u.message)}</p>` : ''}
+    </li>
+  `).join('') || '<li class="review-empty">No updates yet.</li>';
+}
+
+async function postIncidentUpdate(supabase) {
+  if (!reviewIncident) return;
+  const incident = reviewIncident;
+  const status = document.getElementById('incidentStatusSelect').value;
+  const message = document.getElementById('incidentUpdateMessage').value.trim().slice(0, 500);
+  const changed = status !== (incident.status || 'reported');
+
+  if (!changed && !message) {
+    alert('Pick a new status or write an update for the public.');
+    return;
+  }
+
+  const btn = document.getElementById('postIncidentUpdateBtn');
+  btn.disabled = true;
+
+  try {
+    if (changed) {
+      const { error } = await supabase
+        .from('incidents')
+        .update({ status, status_note: message || null })
+        .eq('id', incident.id);
+      if (error) throw error;
+      incident.status = status;
+    } else {
+      const { data: { session } } = await supabase.auth.getSession();
+      const { error } = await supabase.from('incident_updates').insert({
+        incident_id: incident.id,
+        old_status: status,
+        new_status: status,
+        message,
+        created_by: session?.user?.id
+      });
+      if (error) throw error;
+    }
+
+    console.log(`✅ Incident ${incident.id} update posted (${status})`);
+    document.getElementById('incidentUpdateMessage').value = '';
+    await renderIncidentTimeline(supabase, incident.id);
+
+    const delivered = await notifyIncidentReporter(supabase, incident, status, changed, message);
+    alert(`Update posted.${delivered === null ? '' : `\nReporter notified on ${delivered} device(s).`}`);
+    loadIncidents(supabase);
+  } catch (err) {
+    console.error('❌ Incident update failed:', err);
+    alert('Update failed: ' + err.message);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// Resolves to the number of devices reached, or null when there is no reporter account
+async function notifyIncidentReporter(supabase, incident, status, changed, message) {
+  const reporterId = incident.reported_by?.id;
+  if (!reporterId) return null;
+
+  const APP_ORIGIN = window.location.origin;
+  const wording = changed && INCIDENT_PUSH_MESSAGES[status]
+    ? INCIDENT_PUSH_MESSAGES[status]
+    : { title: `📣 Update on your ${incident.type || 'incident'} report`, body: '' };
+
+  try {
+    const response = await supabase.functions.invoke('send-push', {
+      body: {
+        title: wording.title,
+        body: message || wording.body,
+        icon: `${APP_ORIGIN}/public/img/icon-192.png`,
+        badge: `${APP_ORIGIN}/public/img/badge-72.png`,
+        url: `${APP_ORIGIN}/public/html/index.html?incident=${incident.id}`,
+        user_ids: [reporterId],
+        data: { type: 'incident_status', incidentId: incident.id, status }
+      }
+    });
+
+    if (response.error) throw response.error;
+    return response.data?.delivered_to || 0;
+  } catch (err) {
+    console.warn('⚠️ Could not notify reporter:', err);
+    return 0;
+  }
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text || '';
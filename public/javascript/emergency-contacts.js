@@ -0,0 +1,43 @@
+// javascript/emergency-contacts.js - Shared helpers for the user's emergency contact list
+// Used by profile.js (editing) and sos.js (SMS fan-out)
+
+export const MAX_EMERGENCY_CONTACTS = 5;
+
+// Normalize a PH mobile number to +63 format (same rules the profile form always used)
+export function formatPhilippinePhone(input) {
+  const phone = (input || '').trim();
+  if (phone.startsWith('09') && phone.length === 11) return '+63' + phone.slice(1);
+  if (!phone.startsWith('+')) return '+63' + phone.replace(/[^\d]/g, '');
+  return phone;
+}
+
+// Returns the user's contacts sorted by priority.
+// Falls back to the legacy single `emergency_contact` object for accounts saved before the list existed.
+export function getEmergencyContacts(user) {
+  let contacts = Array.isArray(user?.emergency_contacts) ? user.emergency_contacts : [];
+
+  if (!contacts.length && user?.emergency_contact?.phone) {
+    contacts = [{ ...user.emergency_contact, priority: 1, notify: true }];
+  }
+
+  return contacts
+    .filter(c => c && c.phone)
+    .map((c, i) => ({
+      firstName: c.firstName || '',
+      lastName: c.lastName || '',
+      relationship: c.relationship || '',
+      phone: c.phone,
+      priority: Number.isFinite(c.priority) ? c.priority : i + 1,
+      notify: c.notify !== false
+    }))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+// Contacts that opted in to SOS texts, in priority order
+export function getSOSRecipients(user) {
+  return getEmergencyContacts(user).filter(c => c.notify);
+}
+
+export function getContactName(contact) {
+  return `${contact.firstName || ''} ${contact.lastName || ''}`.trim() || contact.phone;
+}
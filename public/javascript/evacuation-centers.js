@@ -0,0 +1,81 @@
+// javascript/evacuation-centers.js - Evacuation centers in San Pablo City
+// Plain script (no module) so maps.js and admin-sos.js can both use the globals below.
+
+// === REAL EVACUATION CENTERS IN SAN PABLO CITY ===
+const EVACUATION_CENTERS = [
+    {
+        name: "San Pablo City Multi-Purpose Evacuation Center",
+        coords: [14.0414821, 121.3257595],
+        capacity: "1,000 persons",
+        address: "Brgy. San Jose",
+        contact: "Call CDRRMO: (049) 562-3333"
+    },
+    {
+        name: "San Ignacio Brgy. Hall Evacuation Center",
+        coords: [14.0432603, 121.3410775],
+        capacity: "200 persons",
+        address: "Brgy. San Jose",
+        contact: "Call CDRRMO: (049) 562-3333"
+    },
+    {
+        name: "San Pablo City National High School",
+        coords: [14.0764365, 121.3209539],
+        capacity: "800 persons",
+        address: "Brgy. Del Remedio",
+        contact: "School Office: (049) 562-1234"
+    },
+    {
+        name: "Liceo de San Pablo",
+        coords: [14.0685877, 121.3273114],
+        capacity: "600 persons",
+        address: "Maharlika Highway",
+        contact: "Security: (049) 562-5555"
+    },
+    {
+        name: "San Pablo Central School",
+        coords: [14.0718397, 121.3233143],
+        capacity: "1,200 persons",
+        address: "M. Paulino St.",
+        contact: "Principal's Office: (049) 562-4444"
+    },
+    {
+        name: "Pook Kasiyahan Covered Court",
+        coords: [14.0785, 121.3189],
+        capacity: "400 persons",
+        address: "Brgy. Santo Angel",
+        contact: "Brgy. Hall: (049) 562-6666"
+    },
+    {
+        name: "Calihan Covered Court",
+        coords: [14.055605, 121.328044],
+        capacity: "100 persons",
+        address: "Brgy. Calihan",
+        contact: "Brgy. Hall: (049) 562-7777"
+    },
+    {
+        name: "San Pablo Convention Center",
+        coords: [14.063926, 121.347538],
+        capacity: "1,500 persons",
+        address: "Brgy. San Jose",
+        contact: "Call CDRRMO: (049) 562-3333"
+    }
+];
+
+// Straight-line distance in meters between two lat/lng points
+function distanceBetween(lat1, lng1, lat2, lng2) {
+    const R = 6371000;
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// Closest centers to a point, nearest first: [{ ...center, distance }]
+function findNearestEvacuationCenters(lat, lng, limit = 2) {
+    return EVACUATION_CENTERS
+        .map(center => ({ ...center, distance: distanceBetween(lat, lng, center.coords[0], center.coords[1]) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit);
+}
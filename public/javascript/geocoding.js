@@ -0,0 +1,187 @@
+// javascript/geocoding.js - The one Photon (OpenStreetMap) geocoder for the whole app
+// Writers (incident-report.js, sos.js) resolve the address + barangay once and store them on the row;
+// readers only fall back to resolveAddress() for rows saved before that (admin.js and admin-sos.js
+// then write the result back to the row).
+// Lookups are cached in IndexedDB across page loads (misses too, for less time) and sent to Photon one at a time.
+
+const PHOTON_URL = 'https://photon.komoot.io';
+const DB_NAME = 'spc-geocoding';
+const DB_VERSION = 1;
+const STORE = 'addresses';
+
+const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // streets don't move; refresh monthly
+const NOT_FOUND_TTL_MS = 24 * 60 * 60 * 1000;  // Photon had nothing there; OSM may have it tomorrow
+const FAILED_TTL_MS = 10 * 60 * 1000;          // Photon errored or timed out while we were online
+const MIN_REQUEST_GAP_MS = 1000;                // Photon's public instance asks for fair use
+const REQUEST_TIMEOUT_MS = 5000;                // an SOS must never wait long on a geocoder
+
+export const SAN_PABLO_CENTER = [14.0695, 121.3216];
+// Roughly San Pablo City and its barangays: minLon, minLat, maxLon, maxLat
+const SAN_PABLO_BBOX = '121.25,13.98,121.42,14.16';
+
+export function formatCoords(lat, lng) {
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+}
+
+// ~1 m; nearby cards and repeat SOS from the same spot share one lookup
+function cacheKey(lat, lng) {
+  return `${lat.toFixed(5)},${lng.toFixed(5)}`;
+}
+
+// In OSM data for the Philippines the barangay is usually the district or locality
+function toResult(p) {
+  const barangay = p.district || p.locality || p.suburb || null;
+  const address = [
+    p.name,
+    p.housenumber ? `#${p.housenumber}` : '',
+    p.street,
+    barangay,
+    p.city || p.town || 'San Pablo City'
+  ].filter(Boolean).filter((part, i, all) => all.indexOf(part) === i).join(', ');
+
+  return { address, barangay };
+}
+
+// ==================== INDEXEDDB CACHE ====================
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE)) {
+        request.result.createObjectStore(STORE, { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+async function readCache(key) {
+  try {
+    const entry = await withStore('readonly', store => store.get(key));
+    if (entry && Date.now() - entry.cached_at < (entry.ttl || CACHE_TTL_MS)) return entry;
+  } catch (err) {
+    console.warn('Geocoding cache unavailable:', err);
+  }
+  return null;
+}
+
+function writeCache(key, result) {
+  return withStore('readwrite', store => store.put({ key, ...result, cached_at: Date.now() }))
+    .catch(err => console.warn('Could not cache address:', err));
+}
+
+// A miss is remembered too, so a table of old rows doesn't ask Photon for the same point on every render
+function writeMiss(key, ttl) {
+  return writeCache(key, { failed: true, ttl });
+}
+
+// ==================== RATE-LIMITED PHOTON REQUESTS ====================
+let photonQueue = Promise.resolve();
+let lastRequestAt = 0;
+
+async function photonGet(path) {
+  lastRequestAt = Date.now();
+  const res = await fetch(`${PHOTON_URL}${path}`, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`Photon HTTP ${res.status}`);
+  return res.json();
+}
+
+// One request at a time, at least MIN_REQUEST_GAP_MS apart. `urgent` (an SOS being sent)
+// skips the line so it never waits behind a feed full of old cards.
+function photonFetch(path, { urgent = false } = {}) {
+  if (urgent) return photonGet(path);
+
+  const run = async () => {
+    const wait = lastRequestAt + MIN_REQUEST_GAP_MS - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    return photonGet(path);
+  };
+
+  const request = photonQueue.then(run, run);
+  photonQueue = request.catch(() => {});
+  return request;
+}
+
+// Same point asked for by several cards at once: one request
+const inFlight = new Map();
+
+// { address, barangay } for storing on a new row, or null when Photon can't be reached
+// (offline) or has nothing there. Never rejects.
+export async function resolveAddress(lat, lng, { urgent = false } = {}) {
+  const key = cacheKey(lat, lng);
+
+  const cached = await readCache(key);
+  if (cached) return cached.failed ? null : { address: cached.address, barangay: cached.barangay };
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const lookup = photonFetch(`/reverse?lon=${lng}&lat=${lat}&limit=1`, { urgent })
+    .then(data => {
+      const p = data.features?.[0]?.properties;
+      if (!p) {
+        writeMiss(key, NOT_FOUND_TTL_MS);
+        return null;
+      }
+
+      const result = toResult(p);
+      writeCache(key, result);
+      return result;
+    })
+    .catch(err => {
+      console.warn('Reverse geocoding failed:', err);
+      // Offline isn't Photon's fault: try again as soon as the connection is back
+      if (navigator.onLine) writeMiss(key, FAILED_TTL_MS);
+      return null;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, lookup);
+  return lookup;
+}
+
+// For display: falls back to plain coordinates
+export async function getAddressFromCoords(lat, lng) {
+  return (await resolveAddress(lat, lng))?.address || formatCoords(lat, lng);
+}
+
+// Address stored on the row, else a (cached) lookup for rows saved before addresses were stored
+export async function getRecordAddress(record) {
+  if (record?.address) return record.address;
+  const { lat, lng } = record?.location || {};
+  if (typeof lat === 'number' && typeof lng === 'number') return getAddressFromCoords(lat, lng);
+  return null;
+}
+
+// Biased toward (and limited to) San Pablo City so "Rizal Ave" doesn't land in Manila
+export async function searchAddress(query) {
+  const [lat, lng] = SAN_PABLO_CENTER;
+
+  try {
+    const data = await photonFetch(`/api/?q=${encodeURIComponent(query)}&lat=${lat}&lon=${lng}&bbox=${SAN_PABLO_BBOX}&limit=5`);
+    return (data.features || []).map(f => {
+      const result = toResult(f.properties || {});
+      const [fLng, fLat] = f.geometry.coordinates;
+      writeCache(cacheKey(fLat, fLng), result);
+      return { lat: fLat, lng: fLng, label: result.address, ...result };
+    });
+  } catch (err) {
+    console.warn('Address search failed:', err);
+    return [];
+  }
+}
@@ -1,4 +1,5 @@
 // incident-report.js - FIXED FOR MOBILE (Absolute URLs)
+import { SAN_PABLO_CENTER, resolveAddress, searchAddress, formatCoords } from './geocoding.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   const form = document.getElementById('incidentForm');
@@ -10,9 +11,6 @@ document.addEventListener('DOMContentLoaded', async () => {
   const photoPreview = document.getElementById('photoPreview');
   const removePhotoBtn = document.getElementById('removePhoto');
 
-  // ✅ Get the current origin for absolute URLs
-  const APP_ORIGIN = window.location.origin;
-
   let currentPosition = null;
   let photoFile = null;
 
@@ -46,31 +44,139 @@ document.addEventListener('DOMContentLoaded', async () => {
     photoPreview.style.display = 'none';
   };
 
-  // Location handling
-  getLocationBtn.onclick = () => {
+  // ==================== LOCATION PIN PICKER ====================
+  // Every report is saved with coordinates + a resolved address. The pin comes from GPS,
+  // an address search or a tap on the map, and can always be dragged to fix a bad fix.
+  const locationSearch = document.getElementById('locationSearch');
+  const locationResults = document.getElementById('locationResults');
+
+  // Leaflet comes from a CDN; without it GPS and the address search still set the location
+  const map = typeof L === 'undefined' ? null : L.map('locationMap', { center: SAN_PABLO_CENTER, zoom: 14 });
+  if (map) {
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '© OpenStreetMap contributors'
+    }).addTo(map);
+  } else {
+    const mapEl = document.getElementById('locationMap');
+    mapEl.classList.add('unavailable');
+    mapEl.textContent = 'Map unavailable. Use GPS or search for the address.';
+  }
+
+  let pin = null;
+  let accuracyCircle = null;
+  let pinRequest = 0;
+
+  const setPin = async (lat, lng, { source, accuracy = null, address = null, barangay = null } = {}) => {
+    const request = ++pinRequest;
+    currentPosition = { lat, lng, accuracy, source, address, barangay };
+    if (map) showPin(lat, lng, accuracy);
+
+    if (address) {
+      locationInput.value = address;
+      return;
+    }
+
+    locationInput.value = 'Finding address...';
+    const resolved = await resolveAddress(lat, lng);
+    // A newer pin may have been placed while this one was resolving
+    if (request !== pinRequest) return;
+    if (resolved) Object.assign(currentPosition, resolved);
+    locationInput.value = resolved?.address || formatCoords(lat, lng);
+  };
+
+  function showPin(lat, lng, accuracy) {
+    if (pin) {
+      pin.setLatLng([lat, lng]);
+    } else {
+      pin = L.marker([lat, lng], { draggable: true }).addTo(map);
+      pin.on('dragend', () => {
+        const { lat: newLat, lng: newLng } = pin.getLatLng();
+        setPin(newLat, newLng, { source: 'pinned' });
+      });
+    }
+
+    if (accuracyCircle) accuracyCircle.remove();
+    accuracyCircle = accuracy
+      ? L.circle([lat, lng], { radius: accuracy, weight: 1, fillOpacity: 0.1, interactive: false }).addTo(map)
+      : null;
+
+    map.setView([lat, lng], Math.max(map.getZoom(), 17));
+  }
+
+  map?.on('click', e => setPin(e.latlng.lat, e.latlng.lng, { source: 'pinned' }));
+
+  // GPS. The automatic attempt on page load never overrides a pin the user already placed.
+  const locateWithGPS = ({ auto = false } = {}) => {
+    if (!navigator.geolocation) {
+      showStatus('GPS is not available. Search for the address or tap the map.', 'warning');
+      return;
+    }
+
     getLocationBtn.disabled = true;
     getLocationBtn.textContent = 'Getting location...';
-    locationInput.value = 'Detecting...';
 
     navigator.geolocation.getCurrentPosition(
       pos => {
-        currentPosition = { lat: pos.coords.latitude, lng: pos.coords.longitude };
-        locationInput.value = `${pos.coords.latitude.toFixed(6)}, ${pos.coords.longitude.toFixed(6)}`;
-        getLocationBtn.textContent = '✓ Location Captured';
+        getLocationBtn.disabled = false;
+        if (auto && currentPosition) {
+          getLocationBtn.textContent = 'Use My Current Location';
+          return;
+        }
+        setPin(pos.coords.latitude, pos.coords.longitude, { source: 'gps', accuracy: pos.coords.accuracy });
+        getLocationBtn.textContent = '✓ Location Captured (drag pin to adjust)';
         getLocationBtn.style.background = '#4caf50';
       },
       () => {
-        locationInput.value = '';
-        locationInput.removeAttribute('readonly');
-        locationInput.placeholder = 'Type location manually';
         getLocationBtn.disabled = false;
         getLocationBtn.textContent = 'Use My Current Location';
-        showStatus('Could not get location. Please enter manually.', 'warning');
+        showStatus('Could not get location. Search for the address or tap the map.', 'warning');
       },
       { timeout: 15000, enableHighAccuracy: true }
     );
   };
 
+  getLocationBtn.onclick = () => locateWithGPS();
+
+  // Address search
+  let searchTimer = null;
+
+  locationSearch.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    const query = locationSearch.value.trim();
+    if (query.length < 3) {
+      locationResults.innerHTML = '';
+      return;
+    }
+    searchTimer = setTimeout(async () => {
+      const results = await searchAddress(query);
+      // Ignore results for a query the user has already typed past
+      if (locationSearch.value.trim() !== query) return;
+      renderSearchResults(results);
+    }, 400);
+  });
+
+  // Enter searches instead of submitting the report
+  locationSearch.addEventListener('keydown', e => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    locationResults.querySelector('button')?.click();
+  });
+
+  const renderSearchResults = (results) => {
+    locationResults.innerHTML = results.length
+      ? results.map((r, i) => `<li><button type="button" data-index="${i}">${escapeHtml(r.label)}</button></li>`).join('')
+      : '<li class="no-results">No matches. Try a street or landmark, or tap the map.</li>';
+
+    locationResults.querySelectorAll('button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const result = results[btn.dataset.index];
+        locationResults.innerHTML = '';
+        locationSearch.value = result.label;
+        setPin(result.lat, result.lng, { source: 'search', address: result.address, barangay: result.barangay });
+      });
+    });
+  };
+
   // ==================== FORM SUBMISSION (MOBILE FIXED) ====================
   form.onsubmit = async e => {
     e.preventDefault();
@@ -82,8 +188,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       return showStatus('Please fill in all required fields', 'error');
     }
 
-    if (!currentPosition && !locationInput.value.trim()) {
-      return showStatus('Please provide a location', 'error');
+    if (!currentPosition) {
+      return showStatus('Please set the location: use GPS, search an address or tap the map', 'error');
     }
 
     const submitBtn = form.querySelector('.submit-btn');
@@ -123,12 +229,21 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Save to database
       showStatus('Saving incident report...', 'loading');
 
+      // Resolved once here and stored, so the feed and admin pages never geocode this report
+      const { lat, lng, accuracy, source } = currentPosition;
+      const { address = null, barangay = null } = currentPosition.address
+        ? currentPosition
+        : (await resolveAddress(lat, lng) || {});
+
       const incidentData = {
         type: incidentType,
         description: description,
-        location: currentPosition || { manual: locationInput.value.trim() },
+        location: { lat, lng, accuracy, source },
+        address,
+        barangay,
         photo_url: photoUrl,
-        reported_by: user.id
+        reported_by: user.id,
+        moderation_status: 'pending'
       };
 
       const { data: insertedIncident, error: dbError } = await supabase
@@ -141,72 +256,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       console.log('✅ Incident saved to database:', insertedIncident.id);
 
-      // ==================== BROADCAST PUSH NOTIFICATION (MOBILE FIXED) ====================
-      showStatus('Broadcasting to all users...', 'loading');
-
-      try {
-        // Format location for notification (keep short for mobile)
-        let locationText = 'San Pablo City';
-        if (currentPosition) {
-          locationText = `${currentPosition.lat.toFixed(4)}, ${currentPosition.lng.toFixed(4)}`;
-        } else if (locationInput.value.trim()) {
-          locationText = locationInput.value.trim().substring(0, 30);
-        }
-
-        // ✅ Mobile-friendly notification body (short and concise)
-        const notificationBody = `${incidentType} in ${locationText}`;
-
-        // ✅ CRITICAL FIX: Use absolute URLs for mobile compatibility
-        const notificationPayload = {
-          title: '🚨 New Incident Report',
-          body: notificationBody,
-          icon: `${APP_ORIGIN}/public/img/icon-192.png`, // ✅ Absolute URL
-          badge: `${APP_ORIGIN}/public/img/badge-72.png`, // ✅ Absolute URL
-          image: photoUrl || undefined, // Photo URL is already absolute from Supabase
-          url: `${APP_ORIGIN}/public/html/index.html`, // ✅ Absolute URL
-          urgency: 'high', // High priority for mobile
-          data: {
-            incidentId: insertedIncident.id,
-            incidentType: incidentType,
-            location: currentPosition || locationInput.value.trim(),
-            timestamp: Date.now()
-          }
-          // ✅ NO user_ids = BROADCAST to ALL subscribers
-        };
-
-        console.log('📤 Notification payload:', notificationPayload);
-
-        // ✅ TRUE BROADCAST: DO NOT include user_ids
-        const notificationResult = await supabase.functions.invoke('send-push', {
-          body: notificationPayload
-        });
-
-        console.log('📊 Broadcast result:', notificationResult);
-
-        if (notificationResult.error) {
-          console.error('❌ Broadcast failed:', notificationResult.error);
-          showStatus('⚠️ Report saved but notification failed', 'warning');
-        } else if (notificationResult.data) {
-          const result = notificationResult.data;
-          console.log(`✅ Broadcast sent to ${result.delivered_to} user(s)`);
-          
-          if (result.delivered_to > 0) {
-            showStatus(
-              `✅ Report submitted and ${result.delivered_to} user(s) notified!`,
-              'success'
-            );
-          } else {
-            showStatus(
-              '✅ Report submitted (no active subscribers)',
-              'success'
-            );
-          }
-        }
-
-      } catch (pushError) {
-        console.error('⚠️ Broadcast error (non-critical):', pushError);
-        showStatus('✅ Report submitted (notification failed)', 'warning');
-      }
+      // Not broadcast yet: admin.js sends the push once CDRRMO verifies the report
+      showStatus('✅ Report submitted! It will be shared with everyone once CDRRMO verifies it.', 'success');
 
       // Reset form
       setTimeout(() => {
@@ -214,7 +265,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         photoPreview.style.display = 'none';
         currentPosition = null;
         photoFile = null;
-        locationInput.setAttribute('readonly', 'readonly');
+        locationInput.value = '';
+        locationResults.innerHTML = '';
         getLocationBtn.style.background = '';
         getLocationBtn.textContent = 'Use My Current Location';
         getLocationBtn.disabled = false;
@@ -249,7 +301,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Auto-get location on page load
   setTimeout(() => {
     if (getLocationBtn && !getLocationBtn.disabled) {
-      getLocationBtn.click();
+      locateWithGPS({ auto: true });
     }
   }, 1000);
 });
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
+}
@@ -1,11 +1,10 @@
 // javascript/index.js - REAL ADDRESS + 100% FREE (2025) + MODAL
+import { getRecordAddress, formatCoords } from './geocoding.js';
+
 document.addEventListener('DOMContentLoaded', async () => {
   const cardsContainer = document.querySelector('.cards');
   if (!cardsContainer) return;
 
-  // Cache for addresses
-  window.addressCache = new Map();
-
   let supabase;
   try {
     supabase = await new Promise(resolve => {
@@ -18,30 +17,40 @@ document.addEventListener('DOMContentLoaded', async () => {
     return;
   }
 
-  // FREE Reverse Geocoding (Photon + OSM)
-  async function getAddressFromCoords(lat, lng) {
-    const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
-    if (window.addressCache.has(key)) return window.addressCache.get(key);
+  // Incident response lifecycle (set by admins in admin.js)
+  const INCIDENT_STATUS_LABELS = {
+    reported: 'Reported',
+    acknowledged: 'Acknowledged',
+    responding: 'Responding',
+    resolved: 'Resolved',
+    closed: 'Closed'
+  };
 
-    try {
-      const res = await fetch(`https://photon.komoot.io/reverse?lon=${lng}&lat=${lat}&limit=1`);
-      const data = await res.json();
-      let address = `${lat.toFixed(6)}, ${lng.toFixed(6)}`; // fallback
+  const statusBadge = (status = 'reported') =>
+    `<span class="incident-status-badge ${status}">${INCIDENT_STATUS_LABELS[status] || status}</span>`;
 
-      if (data.features?.[0]?.properties) {
-        const p = data.features[0].properties;
-        address = [p.name, p.street, p.city || p.suburb || p.town, 'San Pablo City', 'Laguna', 'Philippines']
-          .filter(Boolean).join(', ');
-      }
+  const loadIncidentUpdates = async (incidentId) => {
+    const { data, error } = await supabase
+      .from('incident_updates')
+      .select('id, new_status, message, created_at')
+      .eq('incident_id', incidentId)
+      .order('created_at', { ascending: true });
 
-      window.addressCache.set(key, address);
-      return address;
-    } catch {
-      const fallback = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
-      window.addressCache.set(key, fallback);
-      return fallback;
-    }
-  }
+    if (error) console.error('Error loading incident updates:', error);
+    return data || [];
+  };
+
+  const renderIncidentTimeline = (updates) => updates.length
+    ? updates.map(u => `
+        <li>
+          ${statusBadge(u.new_status)}
+          <span class="incident-timeline-time">${new Date(u.created_at).toLocaleString('en-PH', {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
+          })}</span>
+          ${u.message ? `<p>${escapeHtml(u.message)}</p>` : ''}
+        </li>
+      `).join('')
+    : '<li>No updates yet.</li>';
 
   // Show Modal Function
   const showIncidentModal = async (incident) => {
@@ -60,10 +69,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       const lat = incident.location.lat;
       const lng = incident.location.lng;
       mapLink = `https://maps.google.com/?q=${lat},${lng}`;
-      const address = await getAddressFromCoords(lat, lng);
+      const address = await getRecordAddress(incident);
       locationDisplay = `<a href="${mapLink}" target="_blank" class="modal-map-link">${escapeHtml(address)}</a>`;
+    } else if (incident.location?.manual) {
+      locationDisplay = escapeHtml(incident.location.manual);
     }
 
+    const updates = await loadIncidentUpdates(incident.id);
+
     const modalHTML = `
       <div class="incident-modal" id="incidentModal">
         <div class="modal-overlay"></div>
@@ -72,7 +85,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           
           <div class="modal-header">
             <h2>${escapeHtml(incident.type)}</h2>
-            ${Date.now() - new Date(incident.created_at) < 30000 ? 
+            ${statusBadge(incident.status)}
+            ${Date.now() - new Date(incident.moderated_at || incident.created_at) < 30000 ? 
               '<span class="modal-badge-new">NEW</span>' : ''}
           </div>
 
@@ -113,6 +127,14 @@ document.addEventListener('DOMContentLoaded', async () => {
                   <p>${date}</p>
                 </div>
               </div>
+
+              <div class="modal-detail-item">
+                <i class="fas fa-list-check"></i>
+                <div>
+                  <strong>Response Updates</strong>
+                  <ol class="incident-timeline" data-timeline-for="${incident.id}">${renderIncidentTimeline(updates)}</ol>
+                </div>
+              </div>
             </div>
 
             ${incident.location?.lat && incident.location?.lng ? `
@@ -160,87 +182,228 @@ document.addEventListener('DOMContentLoaded', async () => {
     setTimeout(() => modal.classList.add('modal-active'), 10);
   };
 
-  const renderIncidents = async (incidents) => {
-    if (!incidents.length) {
-      cardsContainer.innerHTML = '<p style="text-align:center;padding:50px;color:#999;">No incidents reported yet.</p>';
+  // ==================== INCIDENT FEED ====================
+  // Keyset pagination on (created_at, id) (page size via range()) so each page costs the same however
+  // big the table gets, and realtime events patch single cards instead of reloading the list.
+  // The id breaks ties, so reports saved in the same instant are neither skipped nor repeated.
+  const PAGE_SIZE = 12;
+  const INCIDENT_COLUMNS = `
+    id, type, description, location, address, barangay, photo_url, created_at, moderated_at, status, moderation_status,
+    reported_by (first_name, last_name)
+  `;
+
+  const loadedIncidents = new Map();
+  let oldestLoadedAt = null;
+  let oldestLoadedId = null;
+  let feedExhausted = false;
+  let loadingPage = false;
+
+  // Feed order: newest first, then highest id
+  const isNewerThan = (createdAt, id, otherCreatedAt, otherId) => {
+    const diff = new Date(createdAt) - new Date(otherCreatedAt);
+    return diff > 0 || (diff === 0 && id > otherId);
+  };
+
+  const sentinel = document.createElement('div');
+  sentinel.className = 'cards-sentinel';
+  cardsContainer.after(sentinel);
+
+  const renderCard = (incident) => {
+    const reporter = incident.reported_by || {};
+    const name = `${reporter.first_name || ''} ${reporter.last_name || ''}`.trim() || 'Anonymous';
+    const photo = incident.photo_url || '../img/default-incident.jpg';
+    const date = new Date(incident.created_at).toLocaleString('en-PH', {
+      month: 'short', day: 'numeric', year: 'numeric',
+      hour: 'numeric', minute: '2-digit', hour12: true
+    });
+
+    // Reports carry the address they were saved with;
+    // older ones are geocoded after the card is on screen (see fillCardAddress)
+    let locationDisplay = 'Location not provided';
+    if (incident.address) {
+      locationDisplay = escapeHtml(incident.address);
+    } else if (incident.location?.lat && incident.location?.lng) {
+      locationDisplay = formatCoords(incident.location.lat, incident.location.lng);
+    } else if (incident.location?.manual) {
+      locationDisplay = escapeHtml(incident.location.manual);
+    }
+
+    const card = document.createElement('div');
+    card.className = 'card incident-card';
+    card.dataset.incidentId = incident.id;
+    card.dataset.createdAt = incident.created_at;
+    card.style.cssText = 'position:relative;cursor:pointer;';
+    card.innerHTML = `
+      <div class="card-img" style="background-image:url('${photo}');"></div>
+      <div class="card-content">
+        <h3>${escapeHtml(incident.type)}</h3>
+        ${statusBadge(incident.status)}
+        <p><strong>By:</strong> ${escapeHtml(name)}</p>
+        <p class="card-description"><strong>Description:</strong> ${escapeHtml(incident.description)}</p>
+        <p><strong>Location:</strong> <span class="card-location">${locationDisplay}</span></p>
+        <p style="margin-top:10px;font-size:0.9em;color:#666;">${date}</p>
+      </div>
+      ${Date.now() - new Date(incident.moderated_at || incident.created_at) < 30000 ? 
+        `<div class="card-badge-new">NEW</div>` : ''}
+      <div class="card-overlay">
+        <i class="fas fa-eye"></i>
+        <span>View Details</span>
+      </div>
+    `;
+    return card;
+  };
+
+  const fillCardAddress = async (card, incident) => {
+    if (incident.address || !incident.location?.lat || !incident.location?.lng) return;
+    const address = await getRecordAddress(incident);
+    const el = card.querySelector('.card-location');
+    if (el) el.textContent = address;
+  };
+
+  const showFeedMessage = (html) => {
+    cardsContainer.innerHTML = `<p class="cards-message" style="text-align:center;padding:50px;color:#999;">${html}</p>`;
+  };
+
+  // Insert or replace one card, keeping newest-first order
+  const upsertCard = (incident) => {
+    loadedIncidents.set(incident.id, incident);
+    const card = renderCard(incident);
+    const existing = cardsContainer.querySelector(`[data-incident-id="${incident.id}"]`);
+
+    cardsContainer.querySelector('.cards-message')?.remove();
+
+    if (existing) {
+      existing.replaceWith(card);
+    } else {
+      const older = [...cardsContainer.querySelectorAll('.incident-card')]
+        .find(c => isNewerThan(incident.created_at, incident.id, c.dataset.createdAt, c.dataset.incidentId));
+      cardsContainer.insertBefore(card, older || null);
+    }
+
+    fillCardAddress(card, incident);
+  };
+
+  const removeCard = (incidentId) => {
+    loadedIncidents.delete(incidentId);
+    cardsContainer.querySelector(`[data-incident-id="${incidentId}"]`)?.remove();
+    if (!loadedIncidents.size && feedExhausted) showFeedMessage('No incidents reported yet.');
+  };
+
+  const loadNextPage = async () => {
+    if (loadingPage || feedExhausted) return;
+    loadingPage = true;
+
+    let query = supabase
+      .from('incidents')
+      .select(INCIDENT_COLUMNS)
+      .eq('moderation_status', 'verified')
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(0, PAGE_SIZE - 1);
+    if (oldestLoadedAt) {
+      query = query.or(`created_at.lt."${oldestLoadedAt}",and(created_at.eq."${oldestLoadedAt}",id.lt.${oldestLoadedId})`);
+    }
+
+    const { data, error } = await query;
+    loadingPage = false;
+
+    if (error) {
+      console.error('Error loading incidents:', error);
+      if (!loadedIncidents.size) showFeedMessage('<span style="color:#d32f2f;">Load failed.</span>');
       return;
     }
 
-    incidents.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    cardsContainer.innerHTML = '<p style="text-align:center;color:#666;">Loading locations...</p>';
-
-    const cards = await Promise.all(incidents.map(async (incident) => {
-      const reporter = incident.reported_by || {};
-      const name = `${reporter.first_name || ''} ${reporter.last_name || ''}`.trim() || 'Anonymous';
-      const photo = incident.photo_url || '../img/default-incident.jpg';
-      const date = new Date(incident.created_at).toLocaleString('en-PH', {
-        month: 'short', day: 'numeric', year: 'numeric',
-        hour: 'numeric', minute: '2-digit', hour12: true
-      });
-
-      let locationDisplay = 'Location not provided';
-
-      if (incident.location?.lat && incident.location?.lng) {
-        const lat = incident.location.lat;
-        const lng = incident.location.lng;
-        const address = await getAddressFromCoords(lat, lng);
-        locationDisplay = escapeHtml(address);
-      }
+    const page = data || [];
+    if (page.length < PAGE_SIZE) {
+      feedExhausted = true;
+      sentinel.remove();
+    }
+    if (page.length) {
+      oldestLoadedAt = page[page.length - 1].created_at;
+      oldestLoadedId = page[page.length - 1].id;
+    }
 
-      return `
-        <div class="card incident-card" data-incident-id="${incident.id}" style="position:relative;cursor:pointer;">
-          <div class="card-img" style="background-image:url('${photo}');"></div>
-          <div class="card-content">
-            <h3>${escapeHtml(incident.type)}</h3>
-            <p><strong>By:</strong> ${name}</p>
-            <p class="card-description"><strong>Description:</strong> ${escapeHtml(incident.description)}</p>
-            <p><strong>Location:</strong> ${locationDisplay}</p>
-            <p style="margin-top:10px;font-size:0.9em;color:#666;">${date}</p>
-          </div>
-          ${Date.now() - new Date(incident.created_at) < 30000 ? 
-            `<div class="card-badge-new">NEW</div>` : ''}
-          <div class="card-overlay">
-            <i class="fas fa-eye"></i>
-            <span>View Details</span>
-          </div>
-        </div>
-      `;
-    }));
-
-    cardsContainer.innerHTML = cards.join('');
-
-    // Add click handlers to cards
-    document.querySelectorAll('.incident-card').forEach((card) => {
-      card.addEventListener('click', () => {
-        const incidentId = card.getAttribute('data-incident-id');
-        const incident = incidents.find(i => i.id === incidentId);
-        if (incident) showIncidentModal(incident);
-      });
-    });
+    if (!loadedIncidents.size && !page.length) {
+      showFeedMessage('No incidents reported yet.');
+      return;
+    }
+    if (!loadedIncidents.size) cardsContainer.innerHTML = '';
+
+    page.forEach(upsertCard);
+
+    // The observer only fires on changes: keep going while the sentinel is still in view
+    if (!feedExhausted && sentinel.getBoundingClientRect().top < window.innerHeight + 400) loadNextPage();
   };
 
-  const loadIncidents = async () => {
+  // Cards that are only in the loaded range; older ones arrive through pagination
+  const isInLoadedRange = (incident) =>
+    feedExhausted || !oldestLoadedAt ||
+    !isNewerThan(oldestLoadedAt, oldestLoadedId, incident.created_at, incident.id);
+
+  const fetchIncident = async (incidentId) => {
     const { data, error } = await supabase
       .from('incidents')
-      .select(`
-        id, type, description, location, photo_url, created_at,
-        reported_by (first_name, last_name)
-      `)
-      .order('created_at', { ascending: false });
+      .select(INCIDENT_COLUMNS)
+      .eq('id', incidentId)
+      .eq('moderation_status', 'verified')
+      .maybeSingle();
 
-    if (error) {
-      cardsContainer.innerHTML = '<p style="text-align:center;color:#d32f2f;">Load failed.</p>';
+    if (error) console.error('Error loading incident:', error);
+    return data || null;
+  };
+
+  const handleIncidentChange = async ({ eventType, new: row, old }) => {
+    if (eventType === 'DELETE') {
+      removeCard(old.id);
       return;
     }
-    renderIncidents(data || []);
+
+    // Unverified or rejected: the public must not see it (realtime has no join, so refetch)
+    if (row.moderation_status !== 'verified') {
+      removeCard(row.id);
+      return;
+    }
+    if (!loadedIncidents.has(row.id) && !isInLoadedRange(row)) return;
+
+    const incident = await fetchIncident(row.id);
+    if (incident) upsertCard(incident);
+    else removeCard(row.id);
+  };
+
+  cardsContainer.addEventListener('click', (e) => {
+    const card = e.target.closest('.incident-card');
+    const incident = card && loadedIncidents.get(card.dataset.incidentId);
+    if (incident) showIncidentModal(incident);
+  });
+
+  new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) loadNextPage();
+  }, { rootMargin: '400px' }).observe(sentinel);
+
+  // Deep link from a reporter's status push: index.html?incident=<id>
+  const openLinkedIncident = async (incidentId) => {
+    const incident = loadedIncidents.get(incidentId) || await fetchIncident(incidentId);
+    if (incident) showIncidentModal(incident);
   };
 
-  // Realtime
   supabase.channel('incidents-channel')
-    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'incidents' }, () => loadIncidents())
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'incidents' }, handleIncidentChange)
+    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'incident_updates' }, async (payload) => {
+      // Refresh the timeline of an open modal in place
+      const timeline = document.querySelector(`[data-timeline-for="${payload.new.incident_id}"]`);
+      if (timeline) timeline.innerHTML = renderIncidentTimeline(await loadIncidentUpdates(payload.new.incident_id));
+    })
     .subscribe();
 
-  loadIncidents();
+  // Status push tapped while this page was already open
+  navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type === 'OPEN_INCIDENT') openLinkedIncident(event.data.incidentId);
+  });
+
+  await loadNextPage();
+
+  const linkedIncidentId = new URLSearchParams(location.search).get('incident');
+  if (linkedIncidentId) openLinkedIncident(linkedIncidentId);
 });
 
 function escapeHtml(text) {
@@ -40,65 +40,8 @@ document.addEventListener('DOMContentLoaded', function () {
         shadowSize: [41, 41]
     });
 
-    // === REAL EVACUATION CENTERS IN SAN PABLO CITY ===
-    const evacuationCenters = [
-        {
-            name: "San Pablo City Multi-Purpose Evacuation Center",
-            coords: [14.0414821, 121.3257595],
-            capacity: "1,000 persons",
-            address: "Brgy. San Jose",
-            contact: "Call CDRRMO: (049) 562-3333"
-        },
-        {
-            name: "San Ignacio Brgy. Hall Evacuation Center",
-            coords: [14.0432603, 121.3410775],
-            capacity: "200 persons",
-            address: "Brgy. San Jose",
-            contact: "Call CDRRMO: (049) 562-3333"
-        },
-        {
-            name: "San Pablo City National High School",
-            coords: [14.0764365, 121.3209539],
-            capacity: "800 persons",
-            address: "Brgy. Del Remedio",
-            contact: "School Office: (049) 562-1234"
-        },
-        {
-            name: "Liceo de San Pablo",
-            coords: [14.0685877, 121.3273114],
-            capacity: "600 persons",
-            address: "Maharlika Highway",
-            contact: "Security: (049) 562-5555"
-        },
-        {
-            name: "San Pablo Central School",
-            coords: [14.0718397, 121.3233143],
-            capacity: "1,200 persons",
-            address: "M. Paulino St.",
-            contact: "Principal's Office: (049) 562-4444"
-        },
-        {
-            name: "Pook Kasiyahan Covered Court",
-            coords: [14.0785, 121.3189],
-            capacity: "400 persons",
-            address: "Brgy. Santo Angel",
-            contact: "Brgy. Hall: (049) 562-6666"
-        },
-        {
-            name: "Calihan Covered Court",
-            coords: [14.055605, 121.328044],
-            capacity: "100 persons",
-            address: "Brgy. Calihan",
-            contact: "Brgy. Hall: (049) 562-7777"
-        },
-        {
-            name: "San Pablo Convention Center",
-            coords: [14.063926, 121.347538],
-            capacity: "1,500 persons",
-            address: "Brgy. San Jose",
-            contact: "Call CDRRMO: (049) 562-3333"
-        }
-    ];
+    // Shared with the admin dispatch map (javascript/evacuation-centers.js)
+    const evacuationCenters = EVACUATION_CENTERS;
 
     // Add Evacuation Center Markers with enhanced popups
     const markers = [];
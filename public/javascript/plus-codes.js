@@ -0,0 +1,46 @@
+// javascript/plus-codes.js - Offline Open Location Code (Plus Code) encoder
+// Works without a data signal or geocoder, so an SOS always carries a location anyone can
+// paste into Google Maps. Only 10-digit codes (~14 m cell) are produced; that matches GPS accuracy.
+// Spec: https://github.com/google/open-location-code/blob/main/docs/specification.md
+
+const CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+const PAIR_COUNT = 5;
+const CELLS_PER_DEGREE = 8000; // the 5th pair's cell is 1/8000 of a degree
+const SEPARATOR_POSITION = 8;
+
+export function encodePlusCode(lat, lng) {
+  const clippedLat = Math.min(90, Math.max(-90, lat));
+  const normalizedLng = ((lng + 180) % 360 + 360) % 360; // 0..360
+
+  // Latitude 90 has no cell above it, so it belongs to the top row
+  let latVal = Math.min(Math.floor((clippedLat + 90) * CELLS_PER_DEGREE), 180 * CELLS_PER_DEGREE - 1);
+  let lngVal = Math.floor(normalizedLng * CELLS_PER_DEGREE);
+
+  let digits = '';
+  for (let i = 0; i < PAIR_COUNT; i++) {
+    digits = CODE_ALPHABET[latVal % 20] + CODE_ALPHABET[lngVal % 20] + digits;
+    latVal = Math.floor(latVal / 20);
+    lngVal = Math.floor(lngVal / 20);
+  }
+
+  return `${digits.slice(0, SEPARATOR_POSITION)}+${digits.slice(SEPARATOR_POSITION)}`;
+}
+
+// Readable accuracy for SMS and UI, e.g. "±12 m"
+export function formatAccuracy(meters) {
+  if (!Number.isFinite(meters)) return null;
+  return meters < 1000 ? `±${Math.round(meters)} m` : `±${(meters / 1000).toFixed(1)} km`;
+}
+
+// Everything worth keeping from a GeolocationPosition, in the shape stored in sos_requests.location
+export function describePosition(position) {
+  const { latitude, longitude, accuracy, altitude, altitudeAccuracy } = position.coords;
+  return {
+    lat: latitude,
+    lng: longitude,
+    accuracy: Number.isFinite(accuracy) ? Math.round(accuracy) : null,
+    altitude: Number.isFinite(altitude) ? Math.round(altitude) : null,
+    altitude_accuracy: Number.isFinite(altitudeAccuracy) ? Math.round(altitudeAccuracy) : null,
+    plus_code: encodePlusCode(latitude, longitude)
+  };
+}
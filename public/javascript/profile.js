@@ -1,5 +1,11 @@
 // javascript/profile.js - FIXED & WORKING (2025)
 import '../javascript/supabase.js';
+import {
+  MAX_EMERGENCY_CONTACTS,
+  formatPhilippinePhone,
+  getEmergencyContacts,
+  getContactName
+} from './emergency-contacts.js';
 
 let currentUserData = null;
 let supabaseClient = null;
@@ -80,7 +86,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       role: 'admin',
       emergency_contact: admin.emergency_contact || {
         firstName: "Emergency", lastName: "Team", relationship: "Staff", phone: "+639171234567"
-      }
+      },
+      emergency_contacts: admin.emergency_contacts || []
     };
     populateProfile(); // Also called here
   };
@@ -101,131 +108,277 @@ document.addEventListener('DOMContentLoaded', async () => {
     set('phoneNumber', currentUserData.phone || '');
     set('address', currentUserData.address || '');
 
-    // === EMERGENCY CONTACT LOGIC ===
-    const contact = currentUserData.emergency_contact || {};
+    // === EMERGENCY CONTACTS LOGIC ===
+    let contacts = getEmergencyContacts(currentUserData);
     const loading = document.getElementById('contact-loading');
     const display = document.getElementById('contact-display');
     const none = document.getElementById('no-contact');
     const formContainer = document.getElementById('contact-form-container');
+    const list = document.getElementById('contact-list');
+    const addAnotherBtn = document.getElementById('addAnotherContactBtn');
+
+    const relMap = {
+      spouse: 'Spouse', parent: 'Parent', child: 'Child',
+      sibling: 'Sibling', friend: 'Friend', other: 'Other'
+    };
 
     if (loading) loading.style.display = 'none';
 
-    const showForm = (editMode = false) => {
+    const showForm = (index = null) => {
       display.style.display = 'none';
       none.style.display = 'none';
       formContainer.style.display = 'block';
 
-      if (editMode && contact.firstName) {
+      const form = document.getElementById('emergencyContactForm');
+      form.reset();
+      document.getElementById('ecIndex').value = index ?? '';
+
+      const contact = index !== null ? contacts[index] : null;
+      if (contact) {
         document.getElementById('ecFirstName').value = contact.firstName || '';
         document.getElementById('ecLastName').value = contact.lastName || '';
         document.getElementById('ecRelationship').value = contact.relationship || '';
         document.getElementById('ecPhone').value = contact.phone || '';
-      } else {
-        document.getElementById('emergencyContactForm').reset();
+        document.getElementById('ecNotify').checked = contact.notify;
       }
     };
 
     const showDisplay = () => {
       formContainer.style.display = 'none';
-      if (contact && contact.firstName) {
-        display.style.display = 'block';
-        document.getElementById('contact-name').textContent = `${contact.firstName} ${contact.lastName || ''}`.trim();
-        const rel = contact.relationship || '';
-        const relMap = {
-            spouse: 'Spouse',
-            parent: 'Parent',
-            child: 'Child',
-            sibling: 'Sibling',
-            friend: 'Friend',
-            other: 'Other'
-          };
-        document.getElementById('contact-relationship').textContent = relMap[rel] || rel || 'Contact';
-        document.getElementById('contact-phone').textContent = contact.phone || '—';
-      } else {
+
+      if (!contacts.length) {
+        display.style.display = 'none';
         none.style.display = 'block';
+        return;
       }
+
+      none.style.display = 'none';
+      display.style.display = 'block';
+      addAnotherBtn.style.display = contacts.length >= MAX_EMERGENCY_CONTACTS ? 'none' : '';
+
+      list.innerHTML = contacts.map((c, i) => `
+        <li class="contact-item ${c.notify ? '' : 'muted'}">
+          <span class="contact-priority" title="Priority ${i + 1}">${i + 1}</span>
+          <div class="contact-info">
+            <h3><i class="fas fa-user-circle"></i> ${escapeHtml(getContactName(c))}</h3>
+            <p>
+              <strong>${escapeHtml(relMap[c.relationship] || c.relationship || 'Contact')}</strong> •
+              ${escapeHtml(c.phone)}
+              <span class="contact-sms-tag">${c.notify ? 'SMS ON' : 'SMS OFF'}</span>
+            </p>
+          </div>
+          <div class="contact-actions">
+            <button data-action="up" data-index="${i}" title="Move up" ${i === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+            <button data-action="down" data-index="${i}" title="Move down" ${i === contacts.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+            <button data-action="edit" data-index="${i}" title="Edit"><i class="fas fa-edit"></i></button>
+            <button data-action="delete" data-index="${i}" title="Remove"><i class="fas fa-trash"></i></button>
+          </div>
+        </li>
+      `).join('');
+    };
+
+    // Persist the whole list. Priorities are re-numbered from list order, and the
+    // legacy `emergency_contact` column keeps the top opted-in contact for older readers.
+    const saveContacts = async (nextContacts) => {
+      const { data: { session } } = await supabaseClient.auth.getSession();
+      if (!session) throw new Error('Not logged in');
+
+      const ordered = nextContacts.map((c, i) => ({ ...c, priority: i + 1 }));
+      const primary = ordered.find(c => c.notify) || null;
+      const legacyContact = primary && {
+        firstName: primary.firstName,
+        lastName: primary.lastName,
+        relationship: primary.relationship,
+        phone: primary.phone
+      };
+
+      const { error } = await supabaseClient
+        .from('users')
+        .update({ emergency_contacts: ordered, emergency_contact: legacyContact })
+        .eq('id', session.user.id);
+
+      if (error) throw error;
+
+      contacts = ordered;
+      currentUserData.emergency_contacts = ordered;
+      currentUserData.emergency_contact = legacyContact;
+      showDisplay();
     };
 
     showDisplay();
 
     // Button Listeners
     document.getElementById('addContactBtn')?.addEventListener('click', () => showForm());
-    document.getElementById('editContactBtn')?.addEventListener('click', () => showForm(true));
+    addAnotherBtn?.addEventListener('click', () => showForm());
     document.getElementById('cancelEditBtn')?.addEventListener('click', showDisplay);
 
-    // Save Emergency Contact
-  document.getElementById('emergencyContactForm')?.addEventListener('submit', async (e) => {
-  e.preventDefault();
+    list?.addEventListener('click', async (e) => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+
+      const index = Number(btn.dataset.index);
+      const next = [...contacts];
+
+      switch (btn.dataset.action) {
+        case 'edit':
+          return showForm(index);
+        case 'delete':
+          if (!confirm(`Remove ${getContactName(contacts[index])} from your emergency contacts?`)) return;
+          next.splice(index, 1);
+          break;
+        case 'up':
+          if (index === 0) return;
+          [next[index - 1], next[index]] = [next[index], next[index - 1]];
+          break;
+        case 'down':
+          if (index === next.length - 1) return;
+          [next[index + 1], next[index]] = [next[index], next[index + 1]];
+          break;
+      }
 
-  // FIX #1: Format phone number FIRST
-  let phoneInput = document.getElementById('ecPhone').value.trim();
-  let formattedPhone = phoneInput;
+      try {
+        await saveContacts(next);
+      } catch (err) {
+        console.error(err);
+        alert('Save failed: ' + err.message);
+      }
+    });
 
-  if (phoneInput.startsWith('09') && phoneInput.length === 11) {
-    formattedPhone = '+63' + phoneInput.slice(1);
-  } else if (!phoneInput.startsWith('+')) {
-    formattedPhone = '+63' + phoneInput.replace(/[^\d]/g, '');
-  }
+    // Save Emergency Contact (add or edit)
+    document.getElementById('emergencyContactForm')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
 
-  const newContact = {
-    firstName: document.getElementById('ecFirstName').value.trim(),
-    lastName: document.getElementById('ecLastName').value.trim(),
-    relationship: document.getElementById('ecRelationship').value.trim(),
-    phone: formattedPhone 
-  };
+      const newContact = {
+        firstName: document.getElementById('ecFirstName').value.trim(),
+        lastName: document.getElementById('ecLastName').value.trim(),
+        relationship: document.getElementById('ecRelationship').value.trim(),
+        phone: formatPhilippinePhone(document.getElementById('ecPhone').value),
+        notify: document.getElementById('ecNotify').checked
+      };
 
-  // Validation
-  if (!newContact.firstName || !newContact.relationship || !newContact.phone) {
-    return alert('Please fill in all required fields');
-  }
+      // Validation
+      if (!newContact.firstName || !newContact.relationship || !newContact.phone) {
+        return alert('Please fill in all required fields');
+      }
 
-  try {
-    const { data: { session } } = await supabaseClient.auth.getSession();
-    if (!session) throw new Error('Not logged in');
+      const indexValue = document.getElementById('ecIndex').value;
+      const next = [...contacts];
 
-    const { error } = await supabaseClient
-      .from('users')
-      .update({ emergency_contact: newContact })
-      .eq('id', session.user.id);
+      if (indexValue === '') {
+        if (next.length >= MAX_EMERGENCY_CONTACTS) {
+          return alert(`You can save up to ${MAX_EMERGENCY_CONTACTS} emergency contacts.`);
+        }
+        next.push(newContact);
+      } else {
+        next[Number(indexValue)] = newContact;
+      }
 
-    if (error) throw error;
+      if (next.some((c, i) => c !== newContact && c.phone === newContact.phone)) {
+        return alert('This phone number is already in your emergency contacts.');
+      }
 
-    // CRITICAL: Force update the in-memory data
-    currentUserData.emergency_contact = newContact;
+      try {
+        await saveContacts(next);
+        alert('Emergency contact saved successfully!');
 
-    // FORCE RE-RENDER EVERYTHING
-    document.getElementById('contact-loading').style.display = 'none';
-    document.getElementById('contact-form-container').style.display = 'none';
-    document.getElementById('no-contact').style.display = 'none';
-    document.getElementById('contact-display').style.display = 'block';
+        display.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      } catch (err) {
+        console.error(err);
+        alert('Save failed: ' + err.message);
+      }
+    });
 
-    // Manually update every text field — this guarantees it shows
-    document.getElementById('contact-name').textContent = 
-      `${newContact.firstName} ${newContact.lastName || ''}`.trim();
+    // === SOS SETTINGS (silent mode, instant trigger) ===
+    // Each checkbox saves straight to its users column
+    const bindSOSSetting = (id, column) => {
+      const toggle = document.getElementById(id);
+      if (!toggle) return;
+
+      toggle.checked = !!currentUserData[column];
+      toggle.addEventListener('change', async () => {
+        const enabled = toggle.checked;
+        try {
+          const { data: { session } } = await supabaseClient.auth.getSession();
+          if (!session) throw new Error('Not logged in');
+
+          const { error } = await supabaseClient
+            .from('users')
+            .update({ [column]: enabled })
+            .eq('id', session.user.id);
+
+          if (error) throw error;
+          currentUserData[column] = enabled;
+        } catch (err) {
+          console.error(err);
+          toggle.checked = !enabled;
+          alert('Save failed: ' + err.message);
+        }
+      });
+    };
 
-    const relMap = {
-      spouse: 'Spouse', parent: 'Parent', child: 'Child',
-      sibling: 'Sibling', friend: 'Friend', other: 'Other'
+    bindSOSSetting('silentSosEnabled', 'silent_sos_enabled');
+    bindSOSSetting('sosInstantTrigger', 'sos_instant_trigger');
+
+    // === MEDICAL ID ===
+    // Stored in medical_ids, not users: admins only get it through sos_medical_id() during an SOS
+    const medicalForm = document.getElementById('medicalIdForm');
+    const loadMedicalId = async () => {
+      const { data: { session } } = await supabaseClient.auth.getSession();
+      if (!session || !medicalForm) return;
+
+      const [{ data: medical, error }, { data: views }] = await Promise.all([
+        supabaseClient.from('medical_ids').select('*').eq('user_id', session.user.id).maybeSingle(),
+        supabaseClient
+          .from('medical_id_views')
+          .select('viewed_at, sos_id')
+          .eq('user_id', session.user.id)
+          .order('viewed_at', { ascending: false })
+          .limit(20)
+      ]);
+
+      if (error) console.error('Failed to load medical ID:', error);
+
+      medicalForm.querySelectorAll('[data-field]').forEach(input => {
+        input.value = medical?.[input.dataset.field] || '';
+      });
+      medicalForm.querySelectorAll('[data-share]').forEach(box => {
+        box.checked = medical ? medical.shared_fields.includes(box.dataset.share) : true;
+      });
+
+      const viewList = document.getElementById('medicalIdViews');
+      if (viewList && views?.length) {
+        viewList.innerHTML = views.map(v => `
+          <li>A dispatcher viewed it during your SOS · ${new Date(v.viewed_at).toLocaleString('en-PH')}</li>
+        `).join('');
+      }
     };
-    document.getElementById('contact-relationship').textContent = 
-      relMap[newContact.relationship] || newContact.relationship || 'Contact';
 
-    document.getElementById('contact-phone').textContent = 
-      newContact.phone || '—';
+    medicalForm?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const record = { updated_at: new Date().toISOString() };
+      medicalForm.querySelectorAll('[data-field]').forEach(input => {
+        record[input.dataset.field] = input.value.trim() || null;
+      });
+      record.shared_fields = [...medicalForm.querySelectorAll('[data-share]:checked')].map(box => box.dataset.share);
 
-    alert('Emergency contact saved successfully!');
+      try {
+        const { data: { session } } = await supabaseClient.auth.getSession();
+        if (!session) throw new Error('Not logged in');
 
-    // Smooth scroll to show the user it updated
-    document.getElementById('contact-display').scrollIntoView({ 
-      behavior: 'smooth', 
-      block: 'center' 
+        const { error } = await supabaseClient
+          .from('medical_ids')
+          .upsert({ user_id: session.user.id, ...record });
+
+        if (error) throw error;
+        alert('Medical ID saved!');
+      } catch (err) {
+        console.error(err);
+        alert('Save failed: ' + err.message);
+      }
     });
 
-  } catch (err) {
-    console.error(err);
-    alert('Save failed: ' + err.message);
-  }
-});
+    loadMedicalId();
 
     // === SAVE PERSONAL INFO ===
     document.querySelector('.profile-form button[type="submit"]')?.addEventListener('click', async (e) => {
@@ -294,4 +447,10 @@ if (burgerBtn && mainNav) {
       burgerBtn.classList.remove("active");
     }
   });
-}
\ No newline at end of file
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
+}
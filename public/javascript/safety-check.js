@@ -0,0 +1,321 @@
+// javascript/safety-check.js - "Are you safe?" check-ins after an admin broadcast (index.html)
+// Shows a banner for the latest open check, records Safe / Need help, and lists the answers of
+// family who shared theirs with you through a one-time code (family_links). Push notification actions land here through
+// ?checkin=<id>&answer=safe|need_help, or a SAFETY_CHECK message when the page is already open.
+
+const CHECK_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000; // older open checks are not shown
+const FAMILY_REFRESH_MS = 60000;
+const ANSWER_LABELS = { safe: "I'm safe", need_help: 'Need help' };
+const FAMILY_LABELS = { safe: 'Safe', need_help: 'Needs help' };
+
+let supabase = null;
+let userId = null;
+let activeCheck = null;
+let myResponse = null;
+
+// Sharing state kept across banner re-renders
+let familyInvite = null;
+let familyNote = '';
+
+function waitForSupabase() {
+  return new Promise(resolve => {
+    if (window.supabase) return resolve(window.supabase);
+    window.addEventListener('supabase-ready', () => resolve(window.supabase), { once: true });
+    setTimeout(() => resolve(window.supabase || null), 10000);
+  });
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('en-PH', { hour: 'numeric', minute: '2-digit' });
+}
+
+// Best effort, only asked for "need help" so dispatchers know where to go
+function getPosition() {
+  return new Promise(resolve => {
+    if (!navigator.geolocation) return resolve(null);
+    navigator.geolocation.getCurrentPosition(
+      position => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  });
+}
+
+// A specific check (from a notification) or the newest open one
+async function loadCheck(checkId) {
+  let query = supabase
+    .from('safety_checks')
+    .select('id, title, message, created_at, closed_at');
+
+  query = checkId
+    ? query.eq('id', checkId)
+    : query
+      .is('closed_at', null)
+      .gte('created_at', new Date(Date.now() - CHECK_MAX_AGE_MS).toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    console.error('Error loading safety check:', error);
+    return null;
+  }
+  return data;
+}
+
+async function loadMyResponse(checkId) {
+  const { data, error } = await supabase
+    .from('safety_check_responses')
+    .select('status, responded_at')
+    .eq('check_id', checkId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) console.error('Error loading safety check answer:', error);
+  return data || null;
+}
+
+async function answerCheck(status) {
+  if (!activeCheck || activeCheck.closed_at || !ANSWER_LABELS[status]) return;
+
+  const row = {
+    check_id: activeCheck.id,
+    user_id: userId,
+    status,
+    location: status === 'need_help' ? await getPosition() : null,
+    responded_at: new Date().toISOString()
+  };
+
+  const { error } = await supabase
+    .from('safety_check_responses')
+    .upsert(row, { onConflict: 'check_id,user_id' });
+
+  if (error) {
+    console.error('Error saving safety check answer:', error);
+    renderBanner(`Could not save your answer: ${error.message}. Please try again.`);
+    return;
+  }
+
+  console.log('Safety check answered:', status);
+  myResponse = row;
+  renderBanner();
+}
+
+function renderAnswer() {
+  if (activeCheck.closed_at) {
+    return myResponse
+      ? `<p class="safety-check-answer ${myResponse.status}">This check-in has ended. You answered <strong>${ANSWER_LABELS[myResponse.status]}</strong>.</p>`
+      : '<p class="safety-check-answer">This check-in has ended.</p>';
+  }
+
+  if (myResponse) {
+    return `
+      <p class="safety-check-answer ${myResponse.status}">
+        You answered <strong>${ANSWER_LABELS[myResponse.status]}</strong> at ${formatTime(myResponse.responded_at)}.
+        <button type="button" class="safety-check-change">Change</button>
+      </p>
+      ${myResponse.status === 'need_help'
+        ? '<p class="safety-check-help">Responders can see your answer. If you are in danger right now, press SOS.</p>'
+        : ''}
+    `;
+  }
+
+  return `
+    <div class="safety-check-buttons">
+      <button type="button" class="btn safety-check-btn safe" data-answer="safe"><i class="fas fa-check"></i> ${ANSWER_LABELS.safe}</button>
+      <button type="button" class="btn safety-check-btn need_help" data-answer="need_help"><i class="fas fa-life-ring"></i> ${ANSWER_LABELS.need_help}</button>
+    </div>
+  `;
+}
+
+function renderBanner(errorMessage = '') {
+  const banner = document.getElementById('safetyCheckBanner');
+  if (!banner) return;
+
+  if (!activeCheck) {
+    banner.hidden = true;
+    return;
+  }
+
+  banner.hidden = false;
+  banner.innerHTML = `
+    <div class="safety-check-question">
+      <i class="fas fa-hand-holding-heart"></i>
+      <div>
+        <strong>Are you safe?</strong>
+        <span>${escapeHtml(activeCheck.title)}: ${escapeHtml(activeCheck.message)}</span>
+      </div>
+    </div>
+    ${renderAnswer()}
+    ${errorMessage ? `<p class="safety-check-error" role="alert">${escapeHtml(errorMessage)}</p>` : ''}
+    <div class="safety-check-family" id="safetyCheckFamily"></div>
+  `;
+
+  banner.querySelectorAll('[data-answer]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      banner.querySelectorAll('[data-answer]').forEach(b => { b.disabled = true; });
+      answerCheck(btn.dataset.answer);
+    });
+  });
+
+  banner.querySelector('.safety-check-change')?.addEventListener('click', () => {
+    myResponse = null;
+    renderBanner();
+  });
+
+  loadFamily();
+}
+
+// Family who share their answers with this user, and who this user shares with
+async function loadFamily() {
+  const container = document.getElementById('safetyCheckFamily');
+  if (!container || !activeCheck) return;
+
+  const [members, viewers] = await Promise.all([
+    supabase.rpc('family_safety_check_ins', { p_check_id: activeCheck.id }),
+    supabase.rpc('family_viewers')
+  ]);
+  if (members.error || viewers.error) {
+    console.error('Error loading family check-ins:', members.error || viewers.error);
+    return;
+  }
+
+  container.innerHTML = `
+    ${members.data?.length ? `
+      <h3>Family</h3>
+      <ul>
+        ${members.data.map(member => {
+          const state = member.status || 'pending';
+          const label = member.status
+            ? `${FAMILY_LABELS[member.status]} · ${formatTime(member.responded_at)}`
+            : 'No answer yet';
+          return `<li class="${state}"><span>${escapeHtml(fullName(member))}</span><strong>${label}</strong></li>`;
+        }).join('')}
+      </ul>
+    ` : ''}
+    ${renderSharing(viewers.data || [])}
+  `;
+
+  container.querySelector('[data-family-invite]')?.addEventListener('click', createInvite);
+  container.querySelector('.safety-check-join')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    acceptInvite(e.target.elements.code.value);
+  });
+  container.querySelectorAll('[data-unshare]').forEach(btn => {
+    btn.addEventListener('click', () => stopSharing(btn.dataset.unshare));
+  });
+}
+
+function fullName(person) {
+  return `${person.first_name || ''} ${person.last_name || ''}`.trim() || 'Unknown';
+}
+
+function renderSharing(viewers) {
+  return `
+    <div class="safety-check-sharing">
+      ${viewers.length ? `
+        <p>Your answers are shared with
+          ${viewers.map(v => `
+            <span class="safety-check-viewer">${escapeHtml(fullName(v))}
+              <button type="button" data-unshare="${v.viewer_id}" title="Stop sharing" aria-label="Stop sharing with ${escapeHtml(fullName(v))}">&times;</button>
+            </span>
+          `).join('')}
+        </p>
+      ` : ''}
+      ${familyInvite
+        ? `<p>Give this code to a family member: <strong class="safety-check-code">${escapeHtml(familyInvite)}</strong> (one use, valid 24 hours)</p>`
+        : '<button type="button" class="safety-check-share" data-family-invite>Share my answers with family</button>'}
+      <form class="safety-check-join">
+        <input type="text" name="code" placeholder="Family code" maxlength="11" autocomplete="off" required>
+        <button type="submit">Add family</button>
+      </form>
+      ${familyNote ? `<p class="safety-check-family-note" role="status">${escapeHtml(familyNote)}</p>` : ''}
+    </div>
+  `;
+}
+
+async function createInvite() {
+  const { data, error } = await supabase.rpc('create_family_invite');
+  if (error) {
+    console.error('Error creating family invite:', error);
+    familyNote = `Could not create a code: ${error.message}`;
+  } else {
+    familyInvite = data;
+    familyNote = '';
+  }
+  loadFamily();
+}
+
+async function acceptInvite(code) {
+  const { data, error } = await supabase.rpc('accept_family_invite', { p_code: code });
+  familyNote = error
+    ? error.message
+    : `You will now see ${data ? `${data}'s` : 'their'} check-in answers.`;
+  loadFamily();
+}
+
+async function stopSharing(viewerId) {
+  const { error } = await supabase
+    .from('family_links')
+    .delete()
+    .eq('owner_id', userId)
+    .eq('viewer_id', viewerId);
+
+  if (error) console.error('Error removing family link:', error);
+  loadFamily();
+}
+
+async function showCheck(checkId, answer) {
+  const check = await loadCheck(checkId);
+  if (!check) return;
+
+  activeCheck = check;
+  myResponse = await loadMyResponse(check.id);
+  renderBanner();
+
+  if (answer && ANSWER_LABELS[answer] && !check.closed_at) await answerCheck(answer);
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  if (!document.getElementById('safetyCheckBanner')) return;
+
+  supabase = await waitForSupabase();
+  if (!supabase) return;
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.user?.id) return;
+  userId = session.user.id;
+
+  // Answer from a notification action, then drop the params so a reload doesn't answer again
+  const params = new URLSearchParams(location.search);
+  await showCheck(params.get('checkin'), params.get('answer'));
+  if (params.has('checkin')) {
+    params.delete('checkin');
+    params.delete('answer');
+    history.replaceState(null, '', `${location.pathname}${params.toString() ? `?${params}` : ''}${location.hash}`);
+  }
+
+  navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type === 'SAFETY_CHECK') showCheck(event.data.checkId, event.data.answer);
+  });
+
+  // New checks and admins ending the current one
+  supabase
+    .channel(`safety-checks-${Date.now()}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'safety_checks' }, (payload) => {
+      if (payload.eventType === 'INSERT') return showCheck(payload.new.id);
+      if (payload.new?.id === activeCheck?.id) {
+        activeCheck = { ...activeCheck, ...payload.new };
+        renderBanner();
+      }
+    })
+    .subscribe();
+
+  setInterval(loadFamily, FAMILY_REFRESH_MS);
+});
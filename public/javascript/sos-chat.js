@@ -0,0 +1,199 @@
+// javascript/sos-chat.js - Per-SOS messages between the requester (sos.js) and dispatchers (admin-sos.js)
+// Messages get a client-generated id so an offline message replayed twice is only stored once.
+import {
+  queueChatMessage,
+  getQueuedChatMessages,
+  removeQueuedChatMessage,
+  getQueuedSOS,
+  requestSOSSync,
+  isNetworkError
+} from './sos-queue.js';
+
+export const CHAT_MESSAGE_MAX_LENGTH = 500;
+
+export const QUICK_REPLIES = {
+  requester: ['Yes', 'No', "I'm injured", "I'm safe for now", 'Please hurry'],
+  dispatcher: [
+    'Are you injured?',
+    'How many people are with you?',
+    'Help is on the way.',
+    'Can you move to a safe place?',
+    'Please keep your phone on.'
+  ]
+};
+
+const OTHER_ROLE = { requester: 'dispatcher', dispatcher: 'requester' };
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
+}
+
+// Saved messages plus any still waiting in the outbox, oldest first
+export async function loadChatMessages(supabase, sosId) {
+  const { data, error } = await supabase
+    .from('sos_messages')
+    .select('id, sos_id, sender_id, sender_role, body, created_at, read_at')
+    .eq('sos_id', sosId)
+    .order('created_at', { ascending: true });
+
+  if (error && !isNetworkError(error)) throw error;
+
+  const saved = data || [];
+  const queued = (await getQueuedChatMessages().catch(() => []))
+    .filter(m => m.sos_id === sosId && !saved.some(s => s.id === m.id))
+    .map(toPending);
+
+  return [...saved, ...queued].sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+// Ids of SOS requests still waiting in the offline outbox. Their rows don't exist yet, so the
+// insert policy (which looks the SOS up) rejects messages on them with 42501, not an FK error.
+async function getQueuedSOSIds() {
+  const queued = await getQueuedSOS().catch(() => []);
+  return new Set(queued.map(entry => entry.id));
+}
+
+function toPending(entry) {
+  const { access_token, supabase_url, anon_key, ...message } = entry;
+  return { ...message, pending: true };
+}
+
+export async function sendChatMessage(supabase, { sosId, senderRole, body }) {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('You must be logged in');
+
+  const message = {
+    id: crypto.randomUUID(),
+    sos_id: sosId,
+    sender_id: session.user.id,
+    sender_role: senderRole,
+    body: body.trim().slice(0, CHAT_MESSAGE_MAX_LENGTH),
+    created_at: new Date().toISOString()
+  };
+
+  if (!navigator.onLine || (await getQueuedSOSIds()).has(sosId)) {
+    return queueMessage(supabase, session, message);
+  }
+
+  const { error } = await supabase.from('sos_messages').insert(message);
+
+  // 23505 = already stored by an earlier attempt
+  if (!error || error.code === '23505') return { ...message, pending: false };
+
+  // 42501 = RLS; retryable only while the SOS itself is still queued
+  if (isNetworkError(error)) return queueMessage(supabase, session, message);
+  if (error.code === '42501' && (await getQueuedSOSIds()).has(sosId)) return queueMessage(supabase, session, message);
+  throw error;
+}
+
+async function queueMessage(supabase, session, message) {
+  await queueChatMessage({
+    ...message,
+    access_token: session.access_token,
+    supabase_url: supabase.supabaseUrl,
+    anon_key: supabase.supabaseKey
+  });
+  await requestSOSSync();
+
+  console.log('SOS chat message queued for background sync:', message.id);
+  return { ...message, pending: true };
+}
+
+// Page-side replay of the chat outbox. Call after the SOS outbox; messages whose SOS is
+// still queued stay queued until it has been sent.
+let flushingChatQueue = false;
+
+export async function flushChatQueue(supabase) {
+  if (flushingChatQueue || !navigator.onLine) return [];
+  flushingChatQueue = true;
+  const sent = [];
+
+  try {
+    const queuedSOSIds = await getQueuedSOSIds();
+
+    for (const entry of await getQueuedChatMessages()) {
+      if (queuedSOSIds.has(entry.sos_id)) continue;
+
+      const message = toPending(entry);
+      delete message.pending;
+
+      const { error } = await supabase.from('sos_messages').insert(message);
+
+      if (error) {
+        if (isNetworkError(error)) break;
+        if (error.code !== '23505') console.error('Dropping queued chat message that cannot be saved:', error);
+      }
+
+      await removeQueuedChatMessage(entry.id);
+      if (!error) sent.push(message);
+    }
+  } catch (err) {
+    console.error('Failed to flush chat queue:', err);
+  } finally {
+    flushingChatQueue = false;
+  }
+
+  return sent;
+}
+
+// Mark everything the other side sent as read by `readerRole`
+export async function markChatRead(supabase, sosId, readerRole) {
+  const { error } = await supabase
+    .from('sos_messages')
+    .update({ read_at: new Date().toISOString() })
+    .eq('sos_id', sosId)
+    .eq('sender_role', OTHER_ROLE[readerRole])
+    .is('read_at', null);
+
+  if (error) console.warn('Could not mark SOS messages read:', error);
+}
+
+export function countUnread(messages, readerRole) {
+  return messages.filter(m => m.sender_role === OTHER_ROLE[readerRole] && !m.read_at).length;
+}
+
+export function subscribeToChat(supabase, sosId, onChange) {
+  return supabase
+    .channel(`sos-chat-${sosId}-${Date.now()}`)
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'sos_messages',
+      filter: `sos_id=eq.${sosId}`
+    }, (payload) => onChange(payload.new))
+    .subscribe();
+}
+
+// Insert or replace by id, keeping chronological order
+export function mergeChatMessage(messages, message) {
+  const next = messages.filter(m => m.id !== message.id);
+  next.push(message);
+  return next.sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+export function renderChatMessages(container, messages, viewerRole) {
+  if (!messages.length) {
+    container.innerHTML = `<p class="sos-chat-empty">No messages yet.</p>`;
+    return;
+  }
+
+  container.innerHTML = messages.map(m => {
+    const mine = m.sender_role === viewerRole;
+    const time = new Date(m.created_at).toLocaleTimeString('en-PH', { hour: 'numeric', minute: '2-digit' });
+    const state = m.pending
+      ? '<i class="fas fa-clock" title="Queued, will send when online"></i>'
+      : (mine && m.read_at ? '<i class="fas fa-check-double" title="Read"></i>' : '');
+    const who = mine ? 'You' : (m.sender_role === 'dispatcher' ? 'Dispatcher' : 'Requester');
+
+    return `
+      <div class="sos-chat-bubble ${mine ? 'mine' : 'theirs'}${m.pending ? ' pending' : ''}">
+        <div class="sos-chat-body">${escapeHtml(m.body)}</div>
+        <div class="sos-chat-meta">${who} · ${time} ${state}</div>
+      </div>
+    `;
+  }).join('');
+
+  container.scrollTop = container.scrollHeight;
+}
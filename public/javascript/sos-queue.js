@@ -0,0 +1,93 @@
+// javascript/sos-queue.js - IndexedDB outbox for SOS requests and SOS chat messages made without a data signal
+// service-worker.js opens the same database and replays both outboxes on Background Sync.
+// Keep DB_NAME / DB_VERSION / store names in sync with the service worker.
+
+const DB_NAME = 'spc-alerts';
+const DB_VERSION = 2;
+const SOS_STORE = 'sos-outbox';
+const CHAT_STORE = 'chat-outbox';
+
+export const SOS_SYNC_TAG = 'sos-queue';
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SOS_STORE)) {
+        db.createObjectStore(SOS_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(CHAT_STORE)) {
+        db.createObjectStore(CHAT_STORE, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, fn, storeName = SOS_STORE) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+export function queueSOS(entry) {
+  return withStore('readwrite', store => store.put(entry));
+}
+
+export async function getQueuedSOS() {
+  const entries = await withStore('readonly', store => store.getAll());
+  return (entries || []).sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+}
+
+export function removeQueuedSOS(id) {
+  return withStore('readwrite', store => store.delete(id));
+}
+
+export function queueChatMessage(entry) {
+  return withStore('readwrite', store => store.put(entry), CHAT_STORE);
+}
+
+export async function getQueuedChatMessages() {
+  const entries = await withStore('readonly', store => store.getAll(), CHAT_STORE);
+  return (entries || []).sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+export function removeQueuedChatMessage(id) {
+  return withStore('readwrite', store => store.delete(id), CHAT_STORE);
+}
+
+// Ask the service worker to replay the outbox once connectivity returns.
+// Browsers without Background Sync fall back to the `online` listener in sos.js.
+export async function requestSOSSync() {
+  if (!('serviceWorker' in navigator)) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!('sync' in registration)) return false;
+    await registration.sync.register(SOS_SYNC_TAG);
+    return true;
+  } catch (err) {
+    console.warn('SOS background sync not available:', err);
+    return false;
+  }
+}
+
+// supabase-js reports a dropped connection as a generic fetch failure
+export function isNetworkError(error) {
+  if (!navigator.onLine) return true;
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message || '');
+}
@@ -1,46 +1,1087 @@
 // javascript/sos.js - FIXED Real-time Updates with Proper Channel Handling
+import { getSOSRecipients, getContactName, formatPhilippinePhone } from './emergency-contacts.js';
+import { describePosition, formatAccuracy, encodePlusCode } from './plus-codes.js';
+import { resolveAddress, formatCoords } from './geocoding.js';
+import { SUPABASE_URL, SUPABASE_ANON_KEY, AUTH_STORAGE_KEY } from './supabase-config.js';
+import {
+  queueSOS,
+  getQueuedSOS,
+  removeQueuedSOS,
+  requestSOSSync,
+  isNetworkError
+} from './sos-queue.js';
+import {
+  QUICK_REPLIES,
+  CHAT_MESSAGE_MAX_LENGTH,
+  loadChatMessages,
+  sendChatMessage,
+  flushChatQueue,
+  markChatRead,
+  countUnread,
+  subscribeToChat,
+  mergeChatMessage,
+  renderChatMessages
+} from './sos-chat.js';
+
 let sosCooldown = false;
 let currentUserSOSId = null;
 let realtimeChannel = null;
 let statusCheckInterval = null;
+let locationWatchId = null;
+let trackedSOSId = null;
+let lastTrackedFix = null;
+let chatSOSId = null;
+let chatChannel = null;
+let chatMessages = [];
+
+// Silent SOS ids: no modal, notification or badge is ever raised for these
+const silentSOSIds = new Set();
+let silentSOSSending = false;
+
+// Full SOS lifecycle. cancelled / resolved / unable_to_locate are final states.
+const SOS_STATUS_NOTIFICATIONS = {
+  waiting: 'Your emergency request is being processed',
+  dispatched: 'Emergency responders are on the way!',
+  arrived: 'Help has arrived at your location!',
+  resolved: 'Your emergency has been marked as resolved.',
+  unable_to_locate: 'Responders could not find you. Please call the CDRRMO hotline.',
+  cancelled: 'Your SOS has been cancelled.'
+};
+const CANCELLABLE_STATUSES = ['waiting', 'dispatched'];
+const CHAT_OPEN_STATUSES = ['waiting', 'dispatched', 'arrived'];
+
+// Optional details the requester can add after pressing SOS (used for dispatcher triage)
+const SOS_CATEGORIES = {
+  medical: { label: 'Medical', icon: 'fa-heart-pulse' },
+  fire: { label: 'Fire', icon: 'fa-fire' },
+  flood: { label: 'Flood / Trapped', icon: 'fa-water' },
+  crime: { label: 'Crime', icon: 'fa-user-shield' },
+  other: { label: 'Other', icon: 'fa-circle-question' }
+};
+const SOS_NOTE_MAX_LENGTH = 200;
+const SOS_OTHER_NAME_MAX_LENGTH = 100;
+
+// Press-and-hold SOS: hold this long, then a countdown the user can still cancel
+const SOS_HOLD_MS = 1500;
+const SOS_COUNTDOWN_SECONDS = 5;
+
+// Disguised trigger: tap the footer copyright line this many times in quick succession
+const SILENT_SOS_TAPS = 3;
+const SILENT_SOS_TAP_WINDOW_MS = 1500;
+const SILENT_SOS_COOLDOWN_MS = 60000;
+
+// Shown when the SOS text service can't be reached (the carrier network usually still works)
+const CDRRMO_HOTLINE = { label: '(049) 562-3333', tel: '+63495623333' };
+
+// Live tracking runs while responders still need to find the requester
+const TRACKED_STATUSES = ['waiting', 'dispatched'];
+const TRACKING_MIN_INTERVAL_MS = 15000;   // at most one update every 15s
+const TRACKING_MAX_INTERVAL_MS = 60000;   // but at least once a minute while moving is slow
+const TRACKING_MIN_DISTANCE_M = 10;
+
+// Address + barangay are stored on the SOS row so dispatchers never geocode it.
+// Both stay null offline; flushSOSQueue() fills them in if it is the one that sends the queued SOS.
+async function resolveSOSAddress(location) {
+  if (!location) return { address: null, barangay: null };
+  const resolved = await resolveAddress(location.lat, location.lng, { urgent: true });
+  return { address: resolved?.address || null, barangay: resolved?.barangay || null };
+}
+
+async function getSupabaseClient() {
+  return new Promise(resolve => {
+    if (window.supabase) return resolve(window.supabase);
+    window.addEventListener('supabase-ready', () => resolve(window.supabase), { once: true });
+    setTimeout(() => window.supabase && resolve(window.supabase), 10000);
+  });
+}
+
+// ==================== OFFLINE COLD START ====================
+// supabase-js comes from esm.sh, which the service worker can't cache. A page opened with no
+// signal never gets a client, so sending an SOS falls back to the session supabase-js stored.
+const SOS_CLIENT_WAIT_MS = 5000;
+
+function waitForSupabaseClient(timeoutMs) {
+  return new Promise(resolve => {
+    if (window.supabase) return resolve(window.supabase);
+    window.addEventListener('supabase-ready', () => resolve(window.supabase), { once: true });
+    setTimeout(() => resolve(window.supabase || null), timeoutMs);
+  });
+}
+
+function getStoredSession() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY) || 'null');
+    // Older supabase-js v2 releases wrapped it as { currentSession }
+    const session = stored?.currentSession || stored;
+    return session?.access_token && session?.user?.id ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+// { supabase, session }; supabase is null when the client never loaded, so the caller must queue
+async function getSOSSession() {
+  const supabase = await waitForSupabaseClient(SOS_CLIENT_WAIT_MS);
+  if (!supabase) return { supabase: null, session: getStoredSession() };
+
+  const { data: { session } } = await supabase.auth.getSession();
+  return { supabase, session };
+}
+
+// Outbox entry for the service worker. The token is only kept until the SOS is sent or dropped.
+function toOutboxEntry(sosRecord, session, recipients, message) {
+  return {
+    ...sosRecord,
+    recipients,
+    message,
+    queued_at: new Date().toISOString(),
+    access_token: session.access_token,
+    supabase_url: SUPABASE_URL,
+    anon_key: SUPABASE_ANON_KEY
+  };
+}
+
+// Text every opted-in contact. Each send is independent, so one bad number or
+// provider error never stops the rest of the list from being reached.
+// send-sos-sms builds the text itself from the SOS record; we only say who to send it to.
+async function sendSOSToContacts(supabase, sosId, recipients) {
+  const settled = await Promise.allSettled(recipients.map(contact =>
+    supabase.functions.invoke('send-sos-sms', {
+      body: { to: contact.phone, sos_id: sosId }
+    })
+  ));
+
+  return Promise.all(settled.map(async (outcome, i) => {
+    const contact = recipients[i];
+    const result = {
+      name: getContactName(contact),
+      phone: contact.phone,
+      priority: contact.priority,
+      success: false,
+      messageId: null,
+      error: null,
+      code: null,
+      sent_at: new Date().toISOString()
+    };
+
+    if (outcome.status === 'rejected') {
+      result.error = outcome.reason?.message || 'Request failed';
+    } else if (outcome.value.error) {
+      const { code, error } = await readFunctionError(outcome.value.error);
+      result.code = code;
+      result.error = error || 'Failed to send SMS';
+    } else if (!outcome.value.data?.success) {
+      result.code = outcome.value.data?.code || null;
+      result.error = outcome.value.data?.error || 'SMS send failed';
+    } else {
+      result.success = true;
+      result.messageId = outcome.value.data.messageId || null;
+    }
+
+    if (!result.success) console.warn(`SOS SMS to ${result.phone} failed:`, result.code || '', result.error);
+    return result;
+  }));
+}
+
+// Non-2xx responses from send-sos-sms carry { code, error }; supabase-js only
+// gives us a generic message, so read the body off the underlying Response.
+async function readFunctionError(error) {
+  try {
+    const body = await error.context.json();
+    return { code: body.code || null, error: body.error || error.message };
+  } catch {
+    return { code: null, error: error.message };
+  }
+}
+
+async function saveSMSResults(supabase, sosId, results) {
+  const { error } = await supabase.rpc('save_sos_sms_results', { p_sos_id: sosId, p_results: results });
+
+  if (error) console.warn('Failed to save SMS delivery results:', error);
+}
+
+function renderSMSResults(statusEl, results, headline) {
+  statusEl.replaceChildren();
+
+  const title = document.createElement('div');
+  title.textContent = headline;
+  statusEl.appendChild(title);
+
+  const list = document.createElement('ul');
+  list.style.cssText = 'list-style:none;padding:0;margin:8px 0 0;font-weight:normal;font-size:0.9em;';
+  results.forEach(r => {
+    const item = document.createElement('li');
+    item.style.color = r.success ? '#28a745' : '#d32f2f';
+    item.textContent = r.success
+      ? `✓ ${r.name} (${r.phone})`
+      : `✗ ${r.name} (${r.phone}): ${r.error}`;
+    list.appendChild(item);
+  });
+  statusEl.appendChild(list);
+}
+
+// ==================== NATIVE SMS FALLBACK ====================
+// iOS separates the body with '&', everyone else with '?'
+function buildSMSComposerURI(phones, message) {
+  const separator = /iPad|iPhone|iPod/.test(navigator.userAgent) ? '&' : '?';
+  return `sms:${phones.join(',')}${separator}body=${encodeURIComponent(message)}`;
+}
 
-async function getAddressFromCoords(lat, lng) {
-  const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
-  if (window.sosAddressCache && window.sosAddressCache.has(key)) {
-    return window.sosAddressCache.get(key);
+// One-tap fallback: open the phone's own SMS app pre-filled, or call the hotline
+function renderNativeFallback(statusEl, { sosId, recipients, message }) {
+  statusEl.querySelector('.sos-native-fallback')?.remove();
+
+  const box = document.createElement('div');
+  box.className = 'sos-native-fallback';
+  box.style.cssText = 'margin-top:12px;display:flex;flex-direction:column;gap:8px;font-weight:normal;';
+
+  const hint = document.createElement('div');
+  hint.style.cssText = 'font-size:0.9em;color:#555;';
+  hint.textContent = 'Send it yourself using your regular text and call credits:';
+  box.appendChild(hint);
+
+  const linkStyle = 'display:block;padding:12px;border-radius:8px;color:#fff;text-align:center;text-decoration:none;font-weight:bold;';
+
+  if (recipients.length && message) {
+    const smsLink = document.createElement('a');
+    smsLink.href = buildSMSComposerURI(recipients.map(c => c.phone), message);
+    smsLink.style.cssText = linkStyle + 'background:#d32f2f;';
+    smsLink.innerHTML = `<i class="fas fa-comment-sms"></i> Text ${recipients.length > 1 ? `${recipients.length} contacts` : getContactName(recipients[0])} from my phone`;
+    smsLink.addEventListener('click', () => recordNativeFallback(sosId, 'sms'));
+    box.appendChild(smsLink);
   }
 
+  const callLink = document.createElement('a');
+  callLink.href = `tel:${CDRRMO_HOTLINE.tel}`;
+  callLink.style.cssText = linkStyle + 'background:#1976d2;';
+  callLink.innerHTML = `<i class="fas fa-phone"></i> Call CDRRMO ${CDRRMO_HOTLINE.label}`;
+  callLink.addEventListener('click', () => recordNativeFallback(sosId, 'call'));
+  box.appendChild(callLink);
+
+  statusEl.appendChild(box);
+}
+
+// Remember which fallback was used. A queued SOS carries it in the outbox entry
+// so it is saved when the SOS syncs; a saved SOS is updated through record_sos_native_fallback().
+async function recordNativeFallback(sosId, kind) {
+  if (!sosId) return;
+  const usedAt = new Date().toISOString();
+
   try {
-    const res = await fetch(`https://photon.komoot.io/reverse?lon=${lng}&lat=${lat}&limit=1`);
-    const data = await res.json();
-    let address = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
-
-    if (data.features?.[0]?.properties) {
-      const p = data.features[0].properties;
-      address = [
-        p.name || p.street || '',
-        p.house_number ? `#${p.house_number}` : '',
-        p.suburb || p.city || p.town || 'San Pablo City',
-        'Laguna',
-        'Philippines'
-      ].filter(Boolean).join(', ');
+    const queued = (await getQueuedSOS().catch(() => [])).find(e => e.id === sosId);
+    if (queued) {
+      await queueSOS({
+        ...queued,
+        native_fallback: { ...(queued.native_fallback || {}), [`${kind}_at`]: usedAt }
+      });
+      return;
     }
 
-    if (!window.sosAddressCache) window.sosAddressCache = new Map();
-    window.sosAddressCache.set(key, address);
-    return address;
+    const supabase = await getSupabaseClient();
+    const { error } = await supabase.rpc('record_sos_native_fallback', { p_sos_id: sosId, p_kind: kind });
+
+    if (error) throw error;
   } catch (err) {
-    console.warn('SOS address lookup failed:', err);
-    return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+    console.warn('Could not record SOS fallback use:', err);
   }
 }
 
-async function getSupabaseClient() {
+// Last known name + contacts, so an SOS can still be built without a data signal
+function cacheSOSProfile(userId, userData) {
+  localStorage.setItem(`sosProfile:${userId}`, JSON.stringify({
+    first_name: userData.first_name,
+    phone: userData.phone,
+    emergency_contact: userData.emergency_contact,
+    emergency_contacts: userData.emergency_contacts,
+    silent_sos_enabled: !!userData.silent_sos_enabled,
+    sos_instant_trigger: !!userData.sos_instant_trigger
+  }));
+}
+
+function loadCachedSOSProfile(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(`sosProfile:${userId}`) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+// Fresh profile when online, the cached copy when there's no signal
+async function loadSOSProfile(supabase, userId) {
+  if (!supabase) return loadCachedSOSProfile(userId);
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('first_name, phone, emergency_contact, emergency_contacts, silent_sos_enabled, sos_instant_trigger')
+    .eq('id', userId)
+    .single();
+
+  if (!error) {
+    cacheSOSProfile(userId, data);
+    return data;
+  }
+  if (isNetworkError(error)) return loadCachedSOSProfile(userId);
+
+  console.error('Error loading SOS profile:', error);
+  return null;
+}
+
+// Page-side replay of the offline outbox (covers browsers without Background Sync)
+let flushingSOSQueue = false;
+
+async function flushSOSQueue(supabase) {
+  if (flushingSOSQueue || !navigator.onLine) return;
+  flushingSOSQueue = true;
+
+  try {
+    const queued = await getQueuedSOS();
+
+    for (const entry of queued) {
+      const { address, barangay } = entry.address ? entry : await resolveSOSAddress(entry.location);
+
+      const { error } = await supabase
+        .from('sos_requests')
+        .insert({
+          id: entry.id,
+          user_id: entry.user_id,
+          location: entry.location,
+          address,
+          barangay,
+          contact_phone: entry.contact_phone,
+          status: entry.status,
+          queued_at: entry.queued_at,
+          category: entry.category || null,
+          note: entry.note || null,
+          native_fallback: entry.native_fallback || null,
+          silent: !!entry.silent,
+          request_type: entry.request_type || 'self',
+          victim_name: entry.victim_name || null,
+          victim_condition: entry.victim_condition || null
+        });
+
+      if (error) {
+        if (isNetworkError(error)) break;
+
+        // 23505 = already inserted by the service worker
+        if (error.code !== '23505') console.error('Dropping queued SOS that cannot be saved:', error);
+        await removeQueuedSOS(entry.id);
+        continue;
+      }
+
+      const smsResults = await sendSOSToContacts(supabase, entry.id, entry.recipients);
+      await saveSMSResults(supabase, entry.id, smsResults);
+      await removeQueuedSOS(entry.id);
+
+      console.log('Queued SOS sent:', entry.id);
+      onQueuedSOSSent(entry.id, smsResults, entry.silent);
+      // The reporter's phone isn't where the person in need is
+      if (entry.request_type !== 'on_behalf') startLocationTracking(supabase, entry.id, entry.user_id);
+    }
+  } catch (err) {
+    console.error('Failed to flush SOS queue:', err);
+  } finally {
+    flushingSOSQueue = false;
+  }
+}
+
+function onQueuedSOSSent(sosId, smsResults, silent = false) {
+  if (silent) {
+    silentSOSIds.add(sosId);
+    return;
+  }
+
+  currentUserSOSId = sosId;
+  updateSOSDeliveryUI('sent');
+
+  const statusEl = document.getElementById('sosStatus');
+  if (statusEl && smsResults?.length) {
+    const delivered = smsResults.filter(r => r.success).length;
+    statusEl.style.display = 'block';
+    statusEl.style.color = delivered ? '#28a745' : '#d32f2f';
+    renderSMSResults(statusEl, smsResults, `Queued SOS sent. ${delivered} of ${smsResults.length} contact${smsResults.length > 1 ? 's' : ''} notified.`);
+  }
+}
+
+navigator.serviceWorker?.addEventListener('message', (event) => {
+  if (event.data?.type === 'SOS_SYNCED') {
+    console.log('Service worker sent queued SOS:', event.data.sosId);
+    onQueuedSOSSent(event.data.sosId, event.data.results, event.data.silent);
+  }
+
+  if (event.data?.type === 'CHAT_SYNCED' && event.data.sosId === chatSOSId) {
+    chatMessages = chatMessages.map(m => m.id === event.data.messageId ? { ...m, pending: false } : m);
+    renderSOSChat();
+  }
+});
+
+function updateSOSDeliveryUI(state) {
+  const el = document.getElementById('sosDeliveryState');
+  if (!el) return;
+
+  el.className = `sos-delivery-state ${state}`;
+  el.style.display = 'block';
+  el.innerHTML = state === 'queued'
+    ? '<i class="fas fa-cloud-upload-alt"></i> <strong>Queued</strong> - no connection. Your SOS will be sent automatically once you are back online.'
+    : '<i class="fas fa-check"></i> <strong>Sent</strong> - your SOS reached the emergency center.';
+}
+
+// ==================== LIVE LOCATION TRACKING ====================
+function distanceInMeters(a, b) {
+  const R = 6371000;
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function startLocationTracking(supabase, sosId, userId) {
+  if (!navigator.geolocation) return;
+  if (trackedSOSId === sosId && locationWatchId !== null) return;
+
+  stopLocationTracking();
+  trackedSOSId = sosId;
+  lastTrackedFix = null;
+
+  console.log('Starting live location tracking for SOS:', sosId);
+
+  locationWatchId = navigator.geolocation.watchPosition(
+    async (position) => {
+      const fix = {
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        time: Date.now()
+      };
+
+      // Throttle: skip fixes that are too soon, or too close while still recent
+      if (lastTrackedFix) {
+        const elapsed = fix.time - lastTrackedFix.time;
+        if (elapsed < TRACKING_MIN_INTERVAL_MS) return;
+        if (elapsed < TRACKING_MAX_INTERVAL_MS && distanceInMeters(lastTrackedFix, fix) < TRACKING_MIN_DISTANCE_M) return;
+      }
+      lastTrackedFix = fix;
+
+      const { error } = await supabase
+        .from('sos_location_history')
+        .insert({
+          sos_id: sosId,
+          user_id: userId,
+          lat: fix.lat,
+          lng: fix.lng,
+          accuracy: fix.accuracy,
+          recorded_at: new Date(fix.time).toISOString()
+        });
+
+      if (error) console.warn('Failed to record location update:', error);
+    },
+    (err) => console.warn('Live location tracking error:', err),
+    { enableHighAccuracy: true, timeout: 30000, maximumAge: 5000 }
+  );
+}
+
+function stopLocationTracking() {
+  if (locationWatchId !== null) {
+    navigator.geolocation.clearWatch(locationWatchId);
+    console.log('Stopped live location tracking for SOS:', trackedSOSId);
+  }
+  locationWatchId = null;
+  trackedSOSId = null;
+  lastTrackedFix = null;
+}
+
+// Start or stop tracking to match the latest SOS status
+function syncLocationTracking(supabase, sos, userId) {
+  if (sos?.id && TRACKED_STATUSES.includes(sos.status)) {
+    startLocationTracking(supabase, sos.id, userId);
+  } else if (!sos?.id || sos.id === trackedSOSId) {
+    stopLocationTracking();
+  }
+}
+
+// ==================== PRESS-AND-HOLD TRIGGER ====================
+// Accidental taps used to create real SOS rows and SMS charges. Pointer users hold the button,
+// then a countdown runs that can still be cancelled. Keyboard and screen-reader activation skips
+// the hold but keeps the countdown. The profile's instant-trigger setting skips both.
+function setupSOSHoldTrigger(button, { isInstant, onConfirm }) {
+  const label = button.innerHTML;
+  let holdTimer = null;
+  let countdownTimer = null;
+
+  button.style.setProperty('--sos-hold-ms', `${SOS_HOLD_MS}ms`);
+  button.setAttribute('aria-describedby', 'sosHoldHint');
+
+  const hint = document.createElement('p');
+  hint.id = 'sosHoldHint';
+  hint.className = 'sos-hold-hint';
+  button.closest('.hero-buttons')?.after(hint);
+
+  const announcer = document.createElement('div');
+  announcer.className = 'sr-only';
+  announcer.setAttribute('aria-live', 'assertive');
+  hint.after(announcer);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'btn sos-countdown-cancel';
+  cancelBtn.style.display = 'none';
+  cancelBtn.innerHTML = '<i class="fas fa-times"></i> Cancel SOS';
+  button.after(cancelBtn);
+
+  const stopHold = () => {
+    clearTimeout(holdTimer);
+    holdTimer = null;
+    button.classList.remove('holding');
+  };
+
+  const resetButton = () => {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    button.classList.remove('counting');
+    button.innerHTML = label;
+    cancelBtn.style.display = 'none';
+  };
+
+  const cancelCountdown = () => {
+    if (!countdownTimer) return;
+    resetButton();
+    announcer.textContent = 'SOS cancelled. Nothing was sent.';
+    button.focus();
+    console.log('SOS countdown cancelled');
+  };
+
+  const startCountdown = () => {
+    let seconds = SOS_COUNTDOWN_SECONDS;
+    const render = () => {
+      button.innerHTML = `Sending SOS in ${seconds}…`;
+      announcer.textContent = `Sending SOS in ${seconds} seconds. Press Cancel SOS to stop.`;
+    };
+
+    button.classList.add('counting');
+    cancelBtn.style.display = '';
+    render();
+    cancelBtn.focus();
+
+    countdownTimer = setInterval(() => {
+      seconds--;
+      if (seconds > 0) return render();
+
+      resetButton();
+      announcer.textContent = 'Sending SOS now.';
+      onConfirm();
+    }, 1000);
+  };
+
+  button.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || button.disabled || isInstant()) return;
+
+    // Tapping the button again during the countdown cancels it
+    if (countdownTimer) return cancelCountdown();
+
+    button.classList.add('holding');
+    holdTimer = setTimeout(() => {
+      stopHold();
+      startCountdown();
+    }, SOS_HOLD_MS);
+  });
+
+  ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+    button.addEventListener(type, () => {
+      if (!holdTimer) return;
+      stopHold();
+      announcer.textContent = 'Keep holding the SOS button to send.';
+    });
+  });
+
+  // Long-press would otherwise open the context menu on mobile
+  button.addEventListener('contextmenu', (e) => e.preventDefault());
+
+  // Pointer clicks are handled by the hold above; keyboard and screen-reader
+  // activation arrives as a click with detail 0
+  button.addEventListener('click', (e) => {
+    if (isInstant()) return onConfirm();
+    if (e.detail !== 0) return;
+    if (countdownTimer) return cancelCountdown();
+    startCountdown();
+  });
+
+  cancelBtn.addEventListener('click', cancelCountdown);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') cancelCountdown();
+  });
+
+  hint.textContent = isInstant()
+    ? 'SOS sends immediately when pressed.'
+    : `Press and hold to send. You'll have ${SOS_COUNTDOWN_SECONDS} seconds to cancel.`;
+}
+
+// ==================== SILENT SOS ====================
+// For crime / domestic-violence situations. Armed from the profile page and fired from a
+// disguised control; nothing on screen changes and the phone neither vibrates nor rings.
+function setupSilentSOSTrigger() {
+  const trigger = document.querySelector('footer .copyright');
+  if (!trigger) return;
+
+  let taps = [];
+  trigger.addEventListener('click', () => {
+    const now = Date.now();
+    taps = taps.filter(t => now - t < SILENT_SOS_TAP_WINDOW_MS);
+    taps.push(now);
+    if (taps.length < SILENT_SOS_TAPS) return;
+
+    taps = [];
+    sendSilentSOS().catch(err => console.error('Silent SOS error:', err));
+  });
+}
+
+// Best effort: a silent SOS without a location still reaches the dispatchers
+function getSilentPosition() {
   return new Promise(resolve => {
-    if (window.supabase) return resolve(window.supabase);
-    window.addEventListener('supabase-ready', () => resolve(window.supabase), { once: true });
-    setTimeout(() => window.supabase && resolve(window.supabase), 10000);
+    if (!navigator.geolocation) return resolve(null);
+    navigator.geolocation.getCurrentPosition(
+      position => resolve(describePosition(position)),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 30000 }
+    );
+  });
+}
+
+async function queueSilentSOS(session, sosRecord, recipients) {
+  await queueSOS(toOutboxEntry(sosRecord, session, recipients, null));
+  await requestSOSSync();
+  console.log('Silent SOS queued for background sync:', sosRecord.id);
+}
+
+async function sendSilentSOS() {
+  if (silentSOSSending) return;
+
+  const { supabase, session } = await getSOSSession();
+  if (!session) return;
+
+  const userData = await loadSOSProfile(supabase, session.user.id);
+  if (!userData?.silent_sos_enabled) return;
+
+  silentSOSSending = true;
+  setTimeout(() => { silentSOSSending = false; }, SILENT_SOS_COOLDOWN_MS);
+
+  const recipients = getSOSRecipients(userData);
+  const location = await getSilentPosition();
+  const sosRecord = {
+    id: crypto.randomUUID(),
+    user_id: session.user.id,
+    location,
+    ...await resolveSOSAddress(location),
+    contact_phone: recipients[0]?.phone || null,
+    status: 'waiting',
+    silent: true
+  };
+  silentSOSIds.add(sosRecord.id);
+
+  if (!supabase || !navigator.onLine) {
+    await queueSilentSOS(session, sosRecord, recipients);
+    return;
+  }
+
+  const { error } = await supabase.from('sos_requests').insert(sosRecord);
+  if (error) {
+    if (isNetworkError(error)) {
+      await queueSilentSOS(session, sosRecord, recipients);
+      return;
+    }
+    throw error;
+  }
+
+  console.log('Silent SOS saved:', sosRecord.id);
+  startLocationTracking(supabase, sosRecord.id, session.user.id);
+
+  if (recipients.length) {
+    const smsResults = await sendSOSToContacts(supabase, sosRecord.id, recipients);
+    await saveSMSResults(supabase, sosRecord.id, smsResults);
+  }
+}
+
+// ==================== SOS FOR SOMEONE ELSE ====================
+// Reporting for a relative or stranger: the victim's location is picked on a map (or taken
+// from this phone's GPS when the reporter is with them) and nobody on the reporter's own
+// emergency-contact list is texted. The reporter still follows the status and chat.
+let otherSOSMap = null;
+let otherSOSMarker = null;
+let otherSOSLocation = null;
+
+function showSOSForOtherModal(profile) {
+  let modal = document.getElementById('sosOtherModal');
+
+  if (!modal) {
+    document.body.insertAdjacentHTML('beforeend', `
+      <div id="sosOtherModal" class="sos-other-modal" role="dialog" aria-modal="true" aria-labelledby="sosOtherTitle">
+        <div class="sos-other-overlay"></div>
+        <div class="sos-other-content">
+          <button type="button" class="sos-other-close" aria-label="Close">&times;</button>
+          <h3 id="sosOtherTitle"><i class="fas fa-hands-helping"></i> SOS for Someone Else</h3>
+          <form id="sosOtherForm">
+            <label for="sosOtherName">Name of the person who needs help</label>
+            <input type="text" id="sosOtherName" maxlength="${SOS_OTHER_NAME_MAX_LENGTH}" required autocomplete="off">
+
+            <label for="sosOtherCondition">Their condition</label>
+            <textarea id="sosOtherCondition" maxlength="${SOS_NOTE_MAX_LENGTH}" rows="2" required placeholder="e.g. 'Lola fell, conscious but cannot stand'"></textarea>
+
+            <div class="sos-category-options">
+              ${Object.entries(SOS_CATEGORIES).map(([value, c]) => `
+                <label class="sos-category-option">
+                  <input type="radio" name="sosOtherCategory" value="${value}">
+                  <span><i class="fas ${c.icon}"></i> ${c.label}</span>
+                </label>
+              `).join('')}
+            </div>
+
+            <label for="sosOtherPhone">Callback number</label>
+            <input type="tel" id="sosOtherPhone" required placeholder="09XX XXX XXXX" autocomplete="tel">
+
+            <label>Where are they?</label>
+            <div class="sos-other-location-actions">
+              <button type="button" id="sosOtherUseGPS"><i class="fas fa-location-crosshairs"></i> I'm with them (use my GPS)</button>
+            </div>
+            <div id="sosOtherMap" class="sos-other-map"></div>
+            <p id="sosOtherLocationText" class="sos-other-location-text">Tap the map to pin their location.</p>
+
+            <p id="sosOtherError" class="sos-other-error" role="alert"></p>
+            <button type="submit" class="sos-other-submit">Send SOS</button>
+          </form>
+        </div>
+      </div>
+    `);
+    modal = document.getElementById('sosOtherModal');
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .sos-other-modal {
+        display: none;
+        position: fixed;
+        z-index: 10000;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.7);
+        align-items: center;
+        justify-content: center;
+        padding: 20px;
+      }
+
+      .sos-other-modal.show {
+        display: flex;
+      }
+
+      .sos-other-overlay {
+        position: absolute;
+        inset: 0;
+      }
+
+      .sos-other-content {
+        position: relative;
+        background: white;
+        border-radius: 16px;
+        width: 100%;
+        max-width: 500px;
+        max-height: 90vh;
+        overflow-y: auto;
+        padding: 24px;
+        box-shadow: 0 25px 70px rgba(0, 0, 0, 0.35);
+      }
+
+      .sos-other-content h3 {
+        margin: 0 0 15px;
+        color: #d32f2f;
+      }
+
+      .sos-other-close {
+        position: absolute;
+        top: 12px;
+        right: 12px;
+        border: none;
+        background: none;
+        font-size: 28px;
+        cursor: pointer;
+        color: #333;
+      }
+
+      #sosOtherForm label {
+        display: block;
+        margin: 12px 0 6px;
+        font-weight: 600;
+        font-size: 14px;
+        color: #333;
+      }
+
+      #sosOtherForm input[type="text"],
+      #sosOtherForm input[type="tel"],
+      #sosOtherForm textarea {
+        width: 100%;
+        padding: 10px;
+        border: 1px solid #ddd;
+        border-radius: 8px;
+        font-size: 14px;
+        font-family: inherit;
+        box-sizing: border-box;
+      }
+
+      #sosOtherForm .sos-category-options {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        margin-top: 10px;
+      }
+
+      #sosOtherForm .sos-category-option {
+        margin: 0;
+        font-weight: 400;
+      }
+
+      #sosOtherForm .sos-category-option input {
+        display: none;
+      }
+
+      #sosOtherForm .sos-category-option span {
+        display: inline-block;
+        padding: 8px 12px;
+        border-radius: 20px;
+        border: 1px solid #d1d5db;
+        background: white;
+        font-size: 13px;
+        cursor: pointer;
+      }
+
+      #sosOtherForm .sos-category-option input:checked + span {
+        background: #d32f2f;
+        border-color: #d32f2f;
+        color: white;
+      }
+
+      #sosOtherUseGPS {
+        padding: 8px 12px;
+        border: 1px solid #3b82f6;
+        border-radius: 8px;
+        background: white;
+        color: #3b82f6;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      .sos-other-map {
+        height: 220px;
+        margin-top: 10px;
+        border-radius: 10px;
+        border: 1px solid #e5e7eb;
+      }
+
+      .sos-other-location-text {
+        margin: 6px 0 0;
+        font-size: 13px;
+        color: #555;
+      }
+
+      .sos-other-error {
+        margin: 10px 0 0;
+        color: #d32f2f;
+        font-size: 14px;
+        font-weight: 600;
+      }
+
+      .sos-other-error:empty {
+        display: none;
+      }
+
+      .sos-other-submit {
+        margin-top: 15px;
+        width: 100%;
+        padding: 12px;
+        border: none;
+        border-radius: 8px;
+        background: #d32f2f;
+        color: white;
+        font-size: 16px;
+        font-weight: 700;
+        cursor: pointer;
+      }
+
+      .sos-other-submit:disabled {
+        opacity: 0.6;
+        cursor: not-allowed;
+      }
+    `;
+    document.head.appendChild(style);
+
+    const close = () => modal.classList.remove('show');
+    modal.querySelector('.sos-other-close').addEventListener('click', close);
+    modal.querySelector('.sos-other-overlay').addEventListener('click', close);
+
+    setupSOSForOtherForm(modal);
+  }
+
+  const phoneInput = document.getElementById('sosOtherPhone');
+  if (!phoneInput.value && profile?.phone) phoneInput.value = profile.phone;
+
+  modal.classList.add('show');
+  initOtherSOSMap();
+}
+
+function initOtherSOSMap() {
+  if (typeof L === 'undefined') {
+    document.getElementById('sosOtherLocationText').textContent = 'Map unavailable. Use your GPS if you are with them.';
+    return;
+  }
+
+  if (!otherSOSMap) {
+    otherSOSMap = L.map('sosOtherMap', { center: [14.0695, 121.3216], zoom: 14 });
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '© OpenStreetMap contributors'
+    }).addTo(otherSOSMap);
+    otherSOSMap.on('click', (e) => setOtherSOSLocation(pinnedLocation(e.latlng.lat, e.latlng.lng)));
+  }
+
+  // The map was created inside a hidden modal
+  setTimeout(() => otherSOSMap.invalidateSize(), 0);
+}
+
+function pinnedLocation(lat, lng) {
+  return { lat, lng, accuracy: null, plus_code: encodePlusCode(lat, lng), source: 'pinned' };
+}
+
+function setOtherSOSLocation(sosLocation) {
+  otherSOSLocation = sosLocation;
+  const latLng = [sosLocation.lat, sosLocation.lng];
+
+  if (otherSOSMap) {
+    if (otherSOSMarker) {
+      otherSOSMarker.setLatLng(latLng);
+    } else {
+      otherSOSMarker = L.marker(latLng, { draggable: true }).addTo(otherSOSMap);
+      otherSOSMarker.on('dragend', () => {
+        const { lat, lng } = otherSOSMarker.getLatLng();
+        setOtherSOSLocation(pinnedLocation(lat, lng));
+      });
+    }
+    otherSOSMap.setView(latLng, Math.max(otherSOSMap.getZoom(), 16));
+  }
+
+  const accuracy = formatAccuracy(sosLocation.accuracy);
+  document.getElementById('sosOtherLocationText').textContent = sosLocation.source === 'pinned'
+    ? `Pinned at ${sosLocation.plus_code}. Drag the pin to adjust.`
+    : `Your GPS: ${sosLocation.plus_code}${accuracy ? ` (${accuracy})` : ''}. Drag the pin to adjust.`;
+}
+
+function setupSOSForOtherForm(modal) {
+  const form = modal.querySelector('#sosOtherForm');
+  const errorEl = modal.querySelector('#sosOtherError');
+  const gpsBtn = modal.querySelector('#sosOtherUseGPS');
+  const submitBtn = form.querySelector('.sos-other-submit');
+
+  gpsBtn.addEventListener('click', () => {
+    if (!navigator.geolocation) {
+      errorEl.textContent = 'Geolocation is not supported on your device. Pin the location on the map.';
+      return;
+    }
+
+    gpsBtn.disabled = true;
+    errorEl.textContent = '';
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        gpsBtn.disabled = false;
+        setOtherSOSLocation(describePosition(position));
+      },
+      (err) => {
+        gpsBtn.disabled = false;
+        console.error(err);
+        errorEl.textContent = 'Could not get your location. Pin it on the map instead.';
+      },
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
+    );
   });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    errorEl.textContent = '';
+
+    if (!otherSOSLocation) {
+      errorEl.textContent = 'Pin their location on the map or use your GPS.';
+      return;
+    }
+
+    const callbackPhone = formatPhilippinePhone(document.getElementById('sosOtherPhone').value);
+    if (!/^\+639\d{9}$/.test(callbackPhone)) {
+      errorEl.textContent = 'Enter a valid PH mobile number we can call back.';
+      return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Sending...';
+
+    try {
+      const queued = await sendSOSForOther({
+        victimName: document.getElementById('sosOtherName').value.trim().slice(0, SOS_OTHER_NAME_MAX_LENGTH),
+        condition: document.getElementById('sosOtherCondition').value.trim().slice(0, SOS_NOTE_MAX_LENGTH),
+        category: form.querySelector('input[name="sosOtherCategory"]:checked')?.value || null,
+        callbackPhone,
+        location: otherSOSLocation
+      });
+
+      form.reset();
+      otherSOSLocation = null;
+      if (otherSOSMarker) {
+        otherSOSMarker.remove();
+        otherSOSMarker = null;
+      }
+      document.getElementById('sosOtherLocationText').textContent = 'Tap the map to pin their location.';
+      modal.classList.remove('show');
+
+      showSOSStatusModal();
+      updateSOSDeliveryUI(queued ? 'queued' : 'sent');
+      await updateSOSStatusUI('waiting');
+    } catch (err) {
+      console.error('SOS for someone else failed:', err);
+      errorEl.textContent = `Failed to send SOS: ${err.message}`;
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Send SOS';
+    }
+  });
+}
+
+// Resolves true when the SOS had to be queued for background sync
+async function sendSOSForOther({ victimName, condition, category, callbackPhone, location }) {
+  const { supabase, session } = await getSOSSession();
+  if (!session) throw new Error('You must be logged in to use SOS');
+
+  const sosRecord = {
+    id: crypto.randomUUID(),
+    user_id: session.user.id,
+    location,
+    ...await resolveSOSAddress(location),
+    contact_phone: callbackPhone,
+    status: 'waiting',
+    category,
+    request_type: 'on_behalf',
+    victim_name: victimName,
+    victim_condition: condition
+  };
+
+  const queue = async () => {
+    await queueSOS(toOutboxEntry(sosRecord, session, [], null));
+    await requestSOSSync();
+    console.log('SOS for someone else queued for background sync:', sosRecord.id);
+    currentUserSOSId = sosRecord.id;
+    return true;
+  };
+
+  if (!supabase || !navigator.onLine) return queue();
+
+  const { error } = await supabase.from('sos_requests').insert(sosRecord);
+  if (error) {
+    if (isNetworkError(error)) return queue();
+    throw new Error(error.message);
+  }
+
+  console.log('SOS for someone else saved:', sosRecord.id);
+  currentUserSOSId = sosRecord.id;
+  return false;
 }
 
 function showSOSStatusModal() {
@@ -57,6 +1098,7 @@ function showSOSStatusModal() {
             <h3>Your SOS Status</h3>
           </div>
           <div class="sos-modal-body">
+            <div id="sosDeliveryState" class="sos-delivery-state" style="display:none;"></div>
             <div class="sos-status-display">
               <div class="status-item" id="sosStatusWaiting">
                 <div class="status-icon waiting">
@@ -87,8 +1129,73 @@ function showSOSStatusModal() {
                   <p>Help has arrived</p>
                 </div>
               </div>
+              <div class="status-divider" id="sosOutcomeDivider" style="display:none;"></div>
+              <div class="status-item" id="sosStatusOutcome" style="display:none;">
+                <div class="status-icon" id="sosOutcomeIcon">
+                  <i class="fas fa-flag-checkered"></i>
+                </div>
+                <div class="status-text">
+                  <strong id="sosOutcomeTitle"></strong>
+                  <p id="sosOutcomeText"></p>
+                </div>
+              </div>
             </div>
             <div id="sosStatusMessage" class="sos-status-message"></div>
+            <div id="sosTimeline" class="sos-timeline" style="display:none;">
+              <h4><i class="fas fa-clock-rotate-left"></i> Timeline</h4>
+              <ol id="sosTimelineList"></ol>
+            </div>
+            <div id="sosChat" class="sos-chat" style="display:none;">
+              <div class="sos-chat-header">
+                <span><i class="fas fa-comments"></i> Messages with dispatcher</span>
+                <span id="sosChatUnread" class="sos-chat-unread" style="display:none;"></span>
+              </div>
+              <div id="sosChatMessages" class="sos-chat-messages" aria-live="polite"></div>
+              <div id="sosChatQuick" class="sos-chat-quick">
+                ${QUICK_REPLIES.requester.map(reply => `<button type="button" data-reply="${reply}">${reply}</button>`).join('')}
+              </div>
+              <form id="sosChatForm" class="sos-chat-form">
+                <input type="text" id="sosChatInput" maxlength="${CHAT_MESSAGE_MAX_LENGTH}" placeholder="Type a message..." autocomplete="off" aria-label="Message to dispatcher">
+                <button type="submit" aria-label="Send"><i class="fas fa-paper-plane"></i></button>
+              </form>
+            </div>
+            <div id="sosDetailsArea" class="sos-details-area" style="display:none;">
+              <form id="sosDetailsForm">
+                <p class="sos-details-title">What's happening? <span>(optional, helps responders prioritize)</span></p>
+                <div class="sos-category-options">
+                  ${Object.entries(SOS_CATEGORIES).map(([value, c]) => `
+                    <label class="sos-category-option">
+                      <input type="radio" name="sosCategory" value="${value}">
+                      <span><i class="fas ${c.icon}"></i> ${c.label}</span>
+                    </label>
+                  `).join('')}
+                </div>
+                <textarea id="sosNote" maxlength="${SOS_NOTE_MAX_LENGTH}" rows="2" placeholder="Short note, e.g. 'Lolo is unconscious, 2nd floor'"></textarea>
+                <button type="submit" class="sos-details-submit">Send Details</button>
+              </form>
+              <p id="sosDetailsSaved" class="sos-details-saved" style="display:none;">
+                <i class="fas fa-check-circle"></i> Details sent to responders
+              </p>
+            </div>
+            <div id="sosCancelArea" class="sos-cancel-area" style="display:none;">
+              <button type="button" id="sosCancelBtn" class="sos-cancel-btn">
+                <i class="fas fa-times-circle"></i> Cancel SOS
+              </button>
+              <form id="sosCancelForm" class="sos-cancel-form" style="display:none;">
+                <label for="sosCancelReason">Why are you cancelling?</label>
+                <select id="sosCancelReason" required>
+                  <option value="false_alarm">False alarm</option>
+                  <option value="accidental">Pressed by accident</option>
+                  <option value="no_longer_needed">I no longer need help</option>
+                  <option value="other">Other</option>
+                </select>
+                <textarea id="sosCancelNote" maxlength="200" rows="2" placeholder="Add details (optional)"></textarea>
+                <div class="sos-cancel-actions">
+                  <button type="submit" class="sos-cancel-confirm">Confirm Cancel</button>
+                  <button type="button" id="sosCancelBack" class="sos-cancel-back">Keep SOS Active</button>
+                </div>
+              </form>
+            </div>
           </div>
         </div>
       </div>
@@ -194,6 +1301,25 @@ function showSOSStatusModal() {
         padding: 30px 25px;
       }
       
+      .sos-delivery-state {
+        margin-bottom: 20px;
+        padding: 12px 15px;
+        border-radius: 8px;
+        font-size: 14px;
+      }
+
+      .sos-delivery-state.queued {
+        background: #fff7ed;
+        border-left: 4px solid #f59e0b;
+        color: #92400e;
+      }
+
+      .sos-delivery-state.sent {
+        background: #ecfdf5;
+        border-left: 4px solid #10b981;
+        color: #065f46;
+      }
+
       .sos-status-display {
         display: flex;
         flex-direction: column;
@@ -233,8 +1359,159 @@ function showSOSStatusModal() {
         background: linear-gradient(135deg, #3b82f6, #2563eb);
       }
       
-      .status-icon.arrived {
-        background: linear-gradient(135deg, #10b981, #059669);
+      .status-icon.arrived {
+        background: linear-gradient(135deg, #10b981, #059669);
+      }
+      
+      .status-icon.resolved {
+        background: linear-gradient(135deg, #6366f1, #4f46e5);
+      }
+      
+      .status-icon.cancelled {
+        background: linear-gradient(135deg, #9ca3af, #6b7280);
+      }
+      
+      .status-icon.unable_to_locate {
+        background: linear-gradient(135deg, #ef4444, #b91c1c);
+      }
+      
+      .sos-details-area {
+        margin-top: 20px;
+        padding: 15px;
+        background: #f9fafb;
+        border-radius: 10px;
+        border: 1px solid #e5e7eb;
+      }
+      
+      .sos-details-title {
+        margin: 0 0 10px;
+        font-weight: 600;
+        font-size: 14px;
+        color: #333;
+      }
+      
+      .sos-details-title span {
+        font-weight: 400;
+        color: #888;
+        font-size: 12px;
+      }
+      
+      .sos-category-options {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        margin-bottom: 10px;
+      }
+      
+      .sos-category-option input {
+        display: none;
+      }
+      
+      .sos-category-option span {
+        display: inline-block;
+        padding: 8px 12px;
+        border-radius: 20px;
+        border: 1px solid #d1d5db;
+        background: white;
+        font-size: 13px;
+        cursor: pointer;
+      }
+      
+      .sos-category-option input:checked + span {
+        background: #d32f2f;
+        border-color: #d32f2f;
+        color: white;
+      }
+      
+      #sosNote {
+        width: 100%;
+        padding: 10px;
+        border: 1px solid #ddd;
+        border-radius: 8px;
+        font-size: 14px;
+        font-family: inherit;
+        box-sizing: border-box;
+      }
+      
+      .sos-details-submit {
+        margin-top: 10px;
+        width: 100%;
+        padding: 10px;
+        border: none;
+        border-radius: 8px;
+        background: #3b82f6;
+        color: white;
+        font-weight: 600;
+        cursor: pointer;
+      }
+      
+      .sos-details-saved {
+        margin: 0;
+        color: #059669;
+        font-size: 14px;
+        font-weight: 600;
+      }
+      
+      .sos-cancel-area {
+        margin-top: 20px;
+        text-align: center;
+      }
+      
+      .sos-cancel-btn,
+      .sos-cancel-confirm,
+      .sos-cancel-back {
+        border: none;
+        border-radius: 8px;
+        padding: 10px 18px;
+        font-size: 14px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+      
+      .sos-cancel-btn {
+        background: #f3f4f6;
+        color: #b91c1c;
+        border: 1px solid #fca5a5;
+      }
+      
+      .sos-cancel-form {
+        text-align: left;
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+      }
+      
+      .sos-cancel-form label {
+        font-weight: 600;
+        color: #333;
+        font-size: 14px;
+      }
+      
+      .sos-cancel-form select,
+      .sos-cancel-form textarea {
+        width: 100%;
+        padding: 10px;
+        border: 1px solid #ddd;
+        border-radius: 8px;
+        font-size: 14px;
+        font-family: inherit;
+      }
+      
+      .sos-cancel-actions {
+        display: flex;
+        gap: 10px;
+      }
+      
+      .sos-cancel-confirm {
+        background: #d32f2f;
+        color: white;
+        flex: 1;
+      }
+      
+      .sos-cancel-back {
+        background: #e5e7eb;
+        color: #333;
+        flex: 1;
       }
       
       .status-text {
@@ -270,6 +1547,161 @@ function showSOSStatusModal() {
         font-size: 14px;
         color: #1e40af;
       }
+
+      .sos-timeline {
+        margin-top: 20px;
+      }
+
+      .sos-timeline h4 {
+        margin: 0 0 10px;
+        font-size: 14px;
+        color: #374151;
+      }
+
+      .sos-timeline ol {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        font-size: 13px;
+      }
+
+      .sos-timeline li {
+        display: flex;
+        justify-content: space-between;
+        gap: 10px;
+        padding: 6px 0;
+        border-bottom: 1px dashed #e5e7eb;
+      }
+
+      .sos-timeline li:last-child {
+        border-bottom: none;
+        font-weight: 600;
+      }
+
+      .sos-timeline time {
+        color: #6b7280;
+        white-space: nowrap;
+      }
+
+      .sos-chat {
+        margin-top: 20px;
+        border: 1px solid #e5e7eb;
+        border-radius: 10px;
+        overflow: hidden;
+      }
+
+      .sos-chat-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 10px 12px;
+        background: #f9fafb;
+        font-size: 14px;
+        font-weight: 600;
+        color: #374151;
+      }
+
+      .sos-chat-unread {
+        background: #dc2626;
+        color: white;
+        border-radius: 999px;
+        padding: 2px 8px;
+        font-size: 12px;
+      }
+
+      .sos-chat-messages {
+        max-height: 220px;
+        overflow-y: auto;
+        padding: 10px 12px;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+      }
+
+      .sos-chat-empty {
+        margin: 0;
+        color: #9ca3af;
+        font-size: 13px;
+        text-align: center;
+      }
+
+      .sos-chat-bubble {
+        max-width: 80%;
+        padding: 8px 12px;
+        border-radius: 12px;
+        font-size: 14px;
+      }
+
+      .sos-chat-bubble.mine {
+        align-self: flex-end;
+        background: #dc2626;
+        color: white;
+      }
+
+      .sos-chat-bubble.theirs {
+        align-self: flex-start;
+        background: #f3f4f6;
+        color: #111827;
+      }
+
+      .sos-chat-bubble.pending {
+        opacity: 0.7;
+      }
+
+      .sos-chat-meta {
+        margin-top: 4px;
+        font-size: 11px;
+        opacity: 0.8;
+      }
+
+      .sos-chat-quick {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        padding: 0 12px 8px;
+      }
+
+      .sos-chat-quick button {
+        border: 1px solid #d1d5db;
+        background: white;
+        border-radius: 999px;
+        padding: 4px 10px;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .sos-chat-form {
+        display: flex;
+        gap: 6px;
+        padding: 8px 12px 12px;
+      }
+
+      .sos-chat-form input {
+        flex: 1;
+        padding: 8px 10px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        font-size: 14px;
+      }
+
+      .sos-chat-form button {
+        background: #dc2626;
+        color: white;
+        border: none;
+        border-radius: 8px;
+        padding: 0 14px;
+        cursor: pointer;
+      }
+
+      .sos-chat-badge {
+        display: inline-block;
+        margin-left: 6px;
+        background: #dc2626;
+        color: white;
+        border-radius: 999px;
+        padding: 0 7px;
+        font-size: 12px;
+      }
       
       @media (max-width: 480px) {
         .sos-modal-content {
@@ -321,43 +1753,432 @@ function showSOSStatusModal() {
     modal.querySelector('.sos-modal-overlay').addEventListener('click', () => {
       modal.classList.remove('show');
     });
+
+    setupSOSDetails(modal);
+    setupSOSCancel(modal);
+    setupSOSChat(modal);
   }
   
   modal.classList.add('show');
+  renderSOSChat();
+}
+
+const SOS_STATUS_STEPS = {
+  waiting: ['waiting'],
+  dispatched: ['waiting', 'dispatched'],
+  arrived: ['waiting', 'dispatched', 'arrived'],
+  resolved: ['waiting', 'dispatched', 'arrived'],
+  unable_to_locate: ['waiting', 'dispatched'],
+  cancelled: ['waiting']
+};
+
+const SOS_STATUS_OUTCOMES = {
+  resolved: {
+    icon: 'fa-flag-checkered',
+    title: 'Resolved',
+    text: 'Emergency handled',
+    message: '<strong>Your emergency has been resolved.</strong><br>Thank you for using SPC Alerts. Stay safe.'
+  },
+  unable_to_locate: {
+    icon: 'fa-location-crosshairs',
+    title: 'Unable to Locate',
+    text: 'Responders could not find you',
+    message: '<strong>Responders could not find you.</strong><br>Please call the CDRRMO hotline at (049) 562-3333 or send a new SOS.'
+  },
+  cancelled: {
+    icon: 'fa-ban',
+    title: 'Cancelled',
+    text: 'You cancelled this SOS',
+    message: '<strong>Your SOS has been cancelled.</strong><br>Responders have been informed. Send a new SOS if you need help.'
+  }
+};
+
+// Same outcome when a dispatcher closed the SOS instead of the requester
+const SOS_DISPATCHER_CANCELLED = {
+  icon: 'fa-ban',
+  title: 'Cancelled',
+  text: 'Cancelled by the dispatcher',
+  message: '<strong>The dispatcher cancelled this SOS.</strong><br>If you still need help, send a new SOS or call (049) 562-3333.'
+};
+
+// cancelled_by is set by cancel_sos(); older requester cancellations only have a reason
+function cancelledByRequester(sos) {
+  if (!sos) return true;
+  return sos.cancelled_by ? sos.cancelled_by === sos.user_id : !!sos.cancel_reason;
 }
 
-async function updateSOSStatusUI(status) {
-  const waitingEl = document.getElementById('sosStatusWaiting');
-  const dispatchedEl = document.getElementById('sosStatusDispatched');
-  const arrivedEl = document.getElementById('sosStatusArrived');
+// `sos` (the row, when known) tells a requester's own cancellation from a dispatcher's
+async function updateSOSStatusUI(status, sos = null) {
+  const stepEls = {
+    waiting: document.getElementById('sosStatusWaiting'),
+    dispatched: document.getElementById('sosStatusDispatched'),
+    arrived: document.getElementById('sosStatusArrived')
+  };
   const messageEl = document.getElementById('sosStatusMessage');
+  const outcomeEl = document.getElementById('sosStatusOutcome');
+  const outcomeDivider = document.getElementById('sosOutcomeDivider');
+  const cancelArea = document.getElementById('sosCancelArea');
   
-  [waitingEl, dispatchedEl, arrivedEl].forEach(el => el?.classList.remove('active'));
+  Object.values(stepEls).forEach(el => el?.classList.remove('active'));
+  (SOS_STATUS_STEPS[status] || []).forEach(step => stepEls[step]?.classList.add('active'));
+
+  const outcome = status === 'cancelled' && !cancelledByRequester(sos)
+    ? SOS_DISPATCHER_CANCELLED
+    : SOS_STATUS_OUTCOMES[status];
+  if (outcomeEl) {
+    outcomeEl.style.display = outcome ? 'flex' : 'none';
+    outcomeDivider.style.display = outcome ? 'block' : 'none';
+    if (outcome) {
+      outcomeEl.classList.add('active');
+      document.getElementById('sosOutcomeIcon').className = `status-icon ${status}`;
+      document.getElementById('sosOutcomeIcon').innerHTML = `<i class="fas ${outcome.icon}"></i>`;
+      document.getElementById('sosOutcomeTitle').textContent = outcome.title;
+      document.getElementById('sosOutcomeText').textContent = outcome.text;
+    }
+  }
+
+  const detailsArea = document.getElementById('sosDetailsArea');
+  if (detailsArea) {
+    detailsArea.style.display = CANCELLABLE_STATUSES.includes(status) ? 'block' : 'none';
+  }
+
+  if (cancelArea) {
+    cancelArea.style.display = CANCELLABLE_STATUSES.includes(status) ? 'block' : 'none';
+    document.getElementById('sosCancelForm').style.display = 'none';
+    document.getElementById('sosCancelBtn').style.display = '';
+  }
   
   switch (status) {
     case 'waiting':
-      waitingEl?.classList.add('active');
       if (messageEl) messageEl.innerHTML = '<strong> Your emergency request has been received.</strong><br>Help is being coordinated. Please stay safe.';
       break;
     case 'dispatched':
-      waitingEl?.classList.add('active');
-      dispatchedEl?.classList.add('active');
       if (messageEl) messageEl.innerHTML = '<strong>Emergency responders have been dispatched!</strong><br>Help is on the way to your location.';
       break;
     case 'arrived':
-      waitingEl?.classList.add('active');
-      dispatchedEl?.classList.add('active');
-      arrivedEl?.classList.add('active');
       if (messageEl) messageEl.innerHTML = '<strong>Help has arrived at your location!</strong><br>Emergency responders are there to assist you.';
       break;
+    default:
+      if (messageEl && outcome) messageEl.innerHTML = outcome.message;
+  }
+
+  renderSOSTimeline(currentUserSOSId);
+  watchSOSChat(currentUserSOSId);
+  updateSOSChatUI(status);
+}
+
+// Simplified history for the requester: what happened and when (no dispatcher names or notes)
+const SOS_TIMELINE_LABELS = {
+  waiting: 'SOS received',
+  dispatched: 'Responders dispatched',
+  arrived: 'Responders arrived',
+  resolved: 'Emergency resolved',
+  unable_to_locate: 'Responders could not find you',
+  cancelled: 'SOS cancelled'
+};
+
+async function renderSOSTimeline(sosId) {
+  const container = document.getElementById('sosTimeline');
+  const list = document.getElementById('sosTimelineList');
+  if (!container || !sosId) return;
+
+  try {
+    const supabase = await getSupabaseClient();
+    const { data, error } = await supabase
+      .from('sos_status_history')
+      .select('new_status, changed_at')
+      .eq('sos_id', sosId)
+      .order('changed_at', { ascending: true });
+
+    if (error) throw error;
+    if (!data?.length) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const start = new Date(data[0].changed_at);
+    list.innerHTML = data.map((entry, i) => {
+      const at = new Date(entry.changed_at);
+      const time = at.toLocaleTimeString('en-PH', { hour: 'numeric', minute: '2-digit' });
+      const elapsed = i ? ` · +${Math.max(1, Math.round((at - start) / 60000))} min` : '';
+      return `<li><span>${SOS_TIMELINE_LABELS[entry.new_status] || entry.new_status}</span><time>${time}${elapsed}</time></li>`;
+    }).join('');
+    container.style.display = 'block';
+  } catch (err) {
+    console.warn('Could not load SOS timeline:', err);
+  }
+}
+
+// ==================== SOS CHAT ====================
+function setupSOSChat(modal) {
+  const form = modal.querySelector('#sosChatForm');
+  const input = modal.querySelector('#sosChatInput');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = input.value.trim();
+    if (!body) return;
+    input.value = '';
+    await postSOSChatMessage(body);
+  });
+
+  modal.querySelectorAll('#sosChatQuick button').forEach(btn => {
+    btn.addEventListener('click', () => postSOSChatMessage(btn.dataset.reply));
+  });
+}
+
+async function postSOSChatMessage(body) {
+  if (!chatSOSId) return;
+
+  try {
+    const supabase = await getSupabaseClient();
+    const message = await sendChatMessage(supabase, { sosId: chatSOSId, senderRole: 'requester', body });
+    chatMessages = mergeChatMessage(chatMessages, message);
+    renderSOSChat();
+  } catch (err) {
+    console.error('Failed to send SOS message:', err);
+    alert('Could not send message: ' + err.message);
+  }
+}
+
+// Keep one realtime subscription for the SOS being shown
+async function watchSOSChat(sosId) {
+  if (!sosId || chatSOSId === sosId) return;
+  chatSOSId = sosId;
+  chatMessages = [];
+
+  const supabase = await getSupabaseClient();
+  if (chatChannel) {
+    supabase.removeChannel(chatChannel);
+    chatChannel = null;
+  }
+
+  try {
+    chatMessages = await loadChatMessages(supabase, sosId);
+  } catch (err) {
+    console.warn('Could not load SOS messages:', err);
+  }
+  renderSOSChat();
+
+  chatChannel = subscribeToChat(supabase, sosId, (message) => {
+    if (!message?.id) return;
+    const isNew = !chatMessages.some(m => m.id === message.id);
+    chatMessages = mergeChatMessage(chatMessages, message);
+    renderSOSChat();
+
+    if (isNew && message.sender_role === 'dispatcher' && document.hidden && !silentSOSIds.has(sosId) && Notification.permission === 'granted') {
+      new Notification('Message from dispatcher', {
+        body: message.body,
+        icon: '/img/icon-192.png',
+        tag: 'sos-chat'
+      });
+    }
+  });
+}
+
+function updateSOSChatUI(status) {
+  const chatEl = document.getElementById('sosChat');
+  if (!chatEl) return;
+
+  const open = CHAT_OPEN_STATUSES.includes(status);
+  chatEl.style.display = currentUserSOSId ? 'block' : 'none';
+  document.getElementById('sosChatForm').style.display = open ? 'flex' : 'none';
+  document.getElementById('sosChatQuick').style.display = open ? 'flex' : 'none';
+}
+
+function renderSOSChat() {
+  const container = document.getElementById('sosChatMessages');
+  if (container) renderChatMessages(container, chatMessages, 'requester');
+
+  const modalOpen = document.getElementById('sosStatusModal')?.classList.contains('show');
+  if (modalOpen) markSOSChatRead();
+  else updateSOSChatBadges();
+}
+
+async function markSOSChatRead() {
+  if (!chatSOSId || !countUnread(chatMessages, 'requester')) {
+    updateSOSChatBadges();
+    return;
+  }
+
+  const readAt = new Date().toISOString();
+  chatMessages = chatMessages.map(m =>
+    m.sender_role === 'dispatcher' && !m.read_at ? { ...m, read_at: readAt } : m
+  );
+  updateSOSChatBadges();
+
+  const supabase = await getSupabaseClient();
+  await markChatRead(supabase, chatSOSId, 'requester');
+}
+
+// Unread count on the chat header and on the "View SOS Status" button
+function updateSOSChatBadges() {
+  const unread = silentSOSIds.has(chatSOSId) ? 0 : countUnread(chatMessages, 'requester');
+
+  const header = document.getElementById('sosChatUnread');
+  if (header) {
+    header.style.display = unread ? 'inline-block' : 'none';
+    header.textContent = `${unread} new`;
+  }
+
+  const statusBtn = document.getElementById('viewSOSStatusBtn');
+  if (statusBtn) {
+    let badge = statusBtn.querySelector('.sos-chat-badge');
+    if (!badge && unread) {
+      badge = document.createElement('span');
+      badge.className = 'sos-chat-badge';
+      statusBtn.appendChild(badge);
+    }
+    if (badge) {
+      badge.textContent = unread;
+      badge.style.display = unread ? 'inline-block' : 'none';
+    }
+  }
+}
+
+async function flushSOSChat(supabase) {
+  const sent = await flushChatQueue(supabase);
+  sent.forEach(message => {
+    if (message.sos_id === chatSOSId) chatMessages = mergeChatMessage(chatMessages, message);
+  });
+  if (sent.length) renderSOSChat();
+}
+
+// ==================== CATEGORY & NOTE ====================
+function setupSOSDetails(modal) {
+  const form = modal.querySelector('#sosDetailsForm');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const category = form.querySelector('input[name="sosCategory"]:checked')?.value || null;
+    const note = document.getElementById('sosNote').value.trim().slice(0, SOS_NOTE_MAX_LENGTH) || null;
+    if (!category && !note) return;
+
+    const submitBtn = form.querySelector('.sos-details-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Sending...';
+
+    try {
+      await saveSOSDetails(category, note);
+      form.style.display = 'none';
+      document.getElementById('sosDetailsSaved').style.display = 'block';
+    } catch (err) {
+      console.error('Failed to send SOS details:', err);
+      alert('Could not send details: ' + err.message);
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Send Details';
+    }
+  });
+}
+
+// Reset the details panel for a newly sent SOS
+function resetSOSDetailsForm() {
+  const form = document.getElementById('sosDetailsForm');
+  if (!form) return;
+  form.reset();
+  form.style.display = 'block';
+  document.getElementById('sosDetailsSaved').style.display = 'none';
+}
+
+async function saveSOSDetails(category, note) {
+  const sosId = currentUserSOSId;
+  if (!sosId) throw new Error('This SOS is no longer active');
+
+  // Still offline: attach the details to the queued entry so they go out with it
+  const queued = (await getQueuedSOS().catch(() => [])).find(entry => entry.id === sosId);
+  if (queued) {
+    await queueSOS({ ...queued, category, note });
+    return;
+  }
+
+  const supabase = await getSupabaseClient();
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('You must be logged in');
+
+  const { error } = await supabase.rpc('update_sos_details', {
+    p_sos_id: sosId,
+    p_category: category,
+    p_note: note
+  });
+
+  if (error) throw error;
+}
+
+// ==================== USER CANCELLATION ====================
+function setupSOSCancel(modal) {
+  const cancelBtn = modal.querySelector('#sosCancelBtn');
+  const form = modal.querySelector('#sosCancelForm');
+
+  cancelBtn.addEventListener('click', () => {
+    cancelBtn.style.display = 'none';
+    form.style.display = 'flex';
+  });
+
+  modal.querySelector('#sosCancelBack').addEventListener('click', () => {
+    form.style.display = 'none';
+    cancelBtn.style.display = '';
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const confirmBtn = form.querySelector('.sos-cancel-confirm');
+    const reason = document.getElementById('sosCancelReason').value;
+    const note = document.getElementById('sosCancelNote').value.trim();
+
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = 'Cancelling...';
+
+    try {
+      await cancelSOS(reason, note);
+      form.reset();
+      stopLocationTracking();
+      updateSOSDeliveryUI('sent');
+      await updateSOSStatusUI('cancelled');
+    } catch (err) {
+      console.error('Cancel SOS failed:', err);
+      alert('Could not cancel SOS: ' + err.message);
+    } finally {
+      confirmBtn.disabled = false;
+      confirmBtn.textContent = 'Confirm Cancel';
+    }
+  });
+}
+
+// Cancels the SOS the status modal is showing, not whichever request happens to be newest
+async function cancelSOS(reason, note) {
+  const sosId = currentUserSOSId;
+  if (!sosId) throw new Error('This SOS can no longer be cancelled');
+
+  // Still in the offline outbox: it never reached anyone, so just drop it
+  const queued = await getQueuedSOS().catch(() => []);
+  if (queued.some(entry => entry.id === sosId)) {
+    await removeQueuedSOS(sosId);
+    console.log('Removed queued SOS before it was sent:', sosId);
+    return;
   }
+
+  const supabase = await getSupabaseClient();
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('You must be logged in');
+
+  const { error } = await supabase.rpc('cancel_sos', {
+    p_sos_id: sosId,
+    p_reason: reason,
+    p_note: note || null
+  });
+
+  if (error) throw error;
+  console.log('SOS cancelled by user:', sosId, reason);
 }
 
 async function checkSOSStatus(supabase, userId) {
   try {
     const { data, error } = await supabase
       .from('sos_requests')
-      .select('id, status, created_at')
+      .select('id, user_id, status, silent, created_at, cancel_reason, cancelled_by')
       .eq('user_id', userId)
       .order('created_at', { ascending: false })
       .limit(1)
@@ -369,6 +2190,7 @@ async function checkSOSStatus(supabase, userId) {
     }
 
     console.log('Current SOS status:', data);
+    if (data.silent) silentSOSIds.add(data.id);
     return data;
   } catch (err) {
     console.error('Error in checkSOSStatus:', err);
@@ -399,10 +2221,17 @@ async function setupRealtimeUpdates(supabase, userId) {
   // Initial status check
   const initialStatus = await checkSOSStatus(supabase, userId);
   if (initialStatus) {
+    currentUserSOSId = initialStatus.id;
     lastKnownStatus = initialStatus.status;
     console.log('Initial status:', lastKnownStatus);
   }
 
+  // Resume tracking after a reload if the SOS is still active
+  syncLocationTracking(supabase, initialStatus, userId);
+
+  // Listen for dispatcher messages even before the status modal is opened
+  if (initialStatus && CHAT_OPEN_STATUSES.includes(initialStatus.status)) watchSOSChat(initialStatus.id);
+
   // Setup realtime subscription
   realtimeChannel = supabase
     .channel(channelName)
@@ -420,32 +2249,33 @@ async function setupRealtimeUpdates(supabase, userId) {
         const newStatus = payload.new?.status;
         const oldStatus = payload.old?.status || lastKnownStatus;
         
+        if (payload.new?.id) syncLocationTracking(supabase, payload.new, userId);
+
         if (newStatus && newStatus !== oldStatus) {
           console.log(`Status changed: "${oldStatus}" "${newStatus}"`);
           lastKnownStatus = newStatus;
+
+          if (payload.new.silent || silentSOSIds.has(payload.new.id)) {
+            silentSOSIds.add(payload.new.id);
+            return;
+          }
+
+          currentUserSOSId = payload.new.id;
           
-          // Update UI
-          await updateSOSStatusUI(newStatus);
+          // Update UI (modal first so its status elements exist)
+          showSOSStatusModal();
+          await updateSOSStatusUI(newStatus, payload.new);
           
           // Show notification
           if (Notification.permission === 'granted') {
-            const statusMessages = {
-              'waiting': 'Your emergency request is being processed',
-              'dispatched': 'Emergency responders are on the way!',
-              'arrived': 'Help has arrived at your location!'
-            };
-            
             new Notification('SOS Status Update', {
-              body: statusMessages[newStatus] || 'Status updated',
+              body: SOS_STATUS_NOTIFICATIONS[newStatus] || 'Status updated',
               icon: '/img/icon-192.png',
               badge: '/img/badge-72.png',
               tag: 'sos-status',
               requireInteraction: true
             });
           }
-          
-          // Show modal
-          showSOSStatusModal();
         }
       }
     )
@@ -474,29 +2304,27 @@ function setupPollingFallback(supabase, userId) {
   statusCheckInterval = setInterval(async () => {
     const statusData = await checkSOSStatus(supabase, userId);
     
+    if (statusData) syncLocationTracking(supabase, statusData, userId);
+
     if (statusData && statusData.status !== lastPolledStatus) {
       console.log('Polling detected status change:', lastPolledStatus, '→', statusData.status);
       lastPolledStatus = statusData.status;
+      if (statusData.silent) return;
+
+      currentUserSOSId = statusData.id;
       
-      await updateSOSStatusUI(statusData.status);
+      showSOSStatusModal();
+      await updateSOSStatusUI(statusData.status, statusData);
       
       if (Notification.permission === 'granted') {
-        const statusMessages = {
-          'waiting': 'Your emergency request is being processed',
-          'dispatched': 'Emergency responders are on the way!',
-          'arrived': 'Help has arrived at your location!'
-        };
-        
         new Notification('SOS Status Update', {
-          body: statusMessages[statusData.status] || 'Status updated',
+          body: SOS_STATUS_NOTIFICATIONS[statusData.status] || 'Status updated',
           icon: '/img/icon-192.png',
           badge: '/img/badge-72.png',
           tag: 'sos-status',
           requireInteraction: true
         });
       }
-      
-      showSOSStatusModal();
     }
   }, 10000); // Check every 10 seconds
 }
@@ -507,14 +2335,23 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   if (!sosButton) return;
 
-  const supabase = await getSupabaseClient();
-  if (supabase) {
-    const { data: { session } } = await supabase.auth.getSession();
+  // Profile flags that change how SOS is triggered (silent mode, instant trigger)
+  let profile = null;
+
+  // Doesn't wait on supabase-js forever: offline, the button must still work from the outbox
+  const { supabase, session } = await getSOSSession();
+  if (!supabase && session) {
+    console.warn('Supabase unavailable, SOS will be queued:', session.user.id);
+    profile = loadCachedSOSProfile(session.user.id);
+  } else if (supabase) {
     if (session?.user?.id) {
       console.log('User logged in:', session.user.id);
-      
+
+      // A permission prompt is exactly what a silent-mode user must not see
+      profile = await loadSOSProfile(supabase, session.user.id);
+
       // Request notification permission
-      if (Notification.permission === 'default') {
+      if (!profile?.silent_sos_enabled && Notification.permission === 'default') {
         console.log('Requesting notification permission...');
         const permission = await Notification.requestPermission();
         console.log('Notification permission:', permission);
@@ -522,12 +2359,70 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       // Setup realtime updates
       await setupRealtimeUpdates(supabase, session.user.id);
+
+      // Send anything left in the offline outbox
+      // (chat messages after their SOS so they never reference a row that isn't there yet)
+      flushSOSQueue(supabase).then(() => flushSOSChat(supabase));
+      window.addEventListener('online', () => {
+        flushSOSQueue(supabase).then(() => flushSOSChat(supabase));
+      });
+
+      // Deep link from an SOS status push: index.html?sos=<id>
+      if (new URLSearchParams(location.search).has('sos')) {
+        const statusData = await checkSOSStatus(supabase, session.user.id);
+        if (statusData) {
+          currentUserSOSId = statusData.id;
+          showSOSStatusModal();
+          updateSOSDeliveryUI('sent');
+          await updateSOSStatusUI(statusData.status, statusData);
+        }
+      }
     } else {
       console.warn('No user session found');
     }
   }
 
-  sosButton.addEventListener('click', async () => {
+  const startSOSCooldown = () => {
+    resetSOSDetailsForm();
+    sosCooldown = true;
+    sosButton.disabled = true;
+    sosButton.innerHTML = 'SOS Sent (60s)';
+
+    let seconds = 60;
+    const timer = setInterval(() => {
+      seconds--;
+      sosButton.innerHTML = `SOS Sent (${seconds}s)`;
+      if (seconds <= 0) {
+        clearInterval(timer);
+        sosCooldown = false;
+        sosButton.disabled = false;
+        sosButton.innerHTML = 'SOS - EMERGENCY';
+        statusEl.style.display = 'none';
+      }
+    }, 1000);
+  };
+
+  // No data signal: park the SOS in IndexedDB and let the service worker
+  // (or the `online` listener below) send it once connectivity returns
+  const queueOfflineSOS = async (session, sosRecord, recipients, message) => {
+    await queueSOS(toOutboxEntry(sosRecord, session, recipients, message));
+    await requestSOSSync();
+
+    console.log('SOS queued for background sync:', sosRecord.id);
+    currentUserSOSId = sosRecord.id;
+
+    statusEl.style.color = '#e67e22';
+    statusEl.textContent = 'No signal. SOS queued and will be sent automatically when you are back online.';
+    renderNativeFallback(statusEl, { sosId: sosRecord.id, recipients, message });
+
+    showSOSStatusModal();
+    updateSOSDeliveryUI('queued');
+    await updateSOSStatusUI('waiting');
+
+    startSOSCooldown();
+  };
+
+  const sendSOS = async () => {
     if (sosCooldown) {
       alert('SOS already sent! Please wait before sending again.');
       return;
@@ -543,107 +2438,114 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     navigator.geolocation.getCurrentPosition(
       async (position) => {
-        const lat = position.coords.latitude;
-        const lng = position.coords.longitude;
+        const sosLocation = describePosition(position);
+        const { lat, lng } = sosLocation;
         const mapsLink = `https://maps.google.com/?q=${lat},${lng}`;
         const timestamp = new Date().toLocaleString('en-PH');
 
         statusEl.textContent = 'Converting location to address...';
-        const readableAddress = await getAddressFromCoords(lat, lng);
+        const sosAddress = await resolveSOSAddress(sosLocation);
+        const readableAddress = sosAddress.address || formatCoords(lat, lng);
+
+        // Everything the device SMS composer needs if the SOS service can't be reached
+        let fallback = null;
 
         statusEl.textContent = 'Fetching emergency contact...';
 
         try {
-          const supabase = await getSupabaseClient();
-          const { data: { session } } = await supabase.auth.getSession();
+          const { supabase, session } = await getSOSSession();
 
           if (!session) {
             statusEl.textContent = 'You must be logged in to use SOS.';
             return;
           }
 
-          const { data: userData, error } = await supabase
-            .from('users')
-            .select('first_name, emergency_contact')
-            .eq('id', session.user.id)
-            .single();
+          const userData = await loadSOSProfile(supabase, session.user.id);
+          const recipients = userData ? getSOSRecipients(userData) : [];
 
-          if (error || !userData?.emergency_contact?.phone) {
+          if (!recipients.length) {
             statusEl.textContent = 'No emergency contact found. Go to Profile to add one.';
             return;
           }
 
-          const contact = userData.emergency_contact;
           const userName = userData.first_name || 'Someone';
 
-          const message = `${userName} needs urgent help!\n\nLocation: ${readableAddress}\nMap: ${mapsLink}\nTime: ${timestamp}\n\nSent from SPC Alerts App`;
+          // Only used for the device SMS fallback; send-sos-sms builds its own text server-side
+          // Plus Code works offline and when the geocoded address is vague
+          const accuracy = formatAccuracy(sosLocation.accuracy);
+          const message = `${userName} needs urgent help!\n\nLocation: ${readableAddress}\nPlus Code: ${sosLocation.plus_code}${accuracy ? ` (${accuracy})` : ''}\nMap: ${mapsLink}\nTime: ${timestamp}\n\nSent from SPC Alerts App`;
+
+          // Client-generated id makes replays idempotent: a second insert of the
+          // same SOS fails on the primary key instead of creating a duplicate.
+          const sosRecord = {
+            id: crypto.randomUUID(),
+            user_id: session.user.id,
+            location: sosLocation,
+            ...sosAddress,
+            contact_phone: recipients[0].phone,
+            status: 'waiting'
+          };
+          fallback = { sosId: null, recipients, message };
+
+          if (!supabase || !navigator.onLine) {
+            await queueOfflineSOS(session, sosRecord, recipients, message);
+            return;
+          }
 
           statusEl.textContent = 'Saving SOS request...';
 
           // Save SOS to database
           const { data: sosData, error: sosError } = await supabase
             .from('sos_requests')
-            .insert({
-              user_id: session.user.id,
-              location: { lat, lng },
-              contact_phone: contact.phone,
-              status: 'waiting'
-            })
+            .insert(sosRecord)
             .select()
             .single();
 
           if (sosError) {
+            if (isNetworkError(sosError)) {
+              await queueOfflineSOS(session, sosRecord, recipients, message);
+              return;
+            }
             throw new Error('Failed to save SOS request: ' + sosError.message);
           }
 
           currentUserSOSId = sosData.id;
+          fallback.sosId = sosData.id;
           console.log('SOS saved to database:', sosData.id);
 
-          statusEl.textContent = 'Sending emergency SMS...';
+          startLocationTracking(supabase, sosData.id, session.user.id);
 
-          // Send SMS
-          const { data: smsResult, error: smsError } = await supabase.functions.invoke('send-sos-sms', {
-            body: {
-              to: contact.phone,
-              message: message
-            }
-          });
+          statusEl.textContent = `Sending emergency SMS to ${recipients.length} contact${recipients.length > 1 ? 's' : ''}...`;
 
-          if (smsError) {
-            throw new Error(smsError.message || 'Failed to send SMS');
-          }
+          const smsResults = await sendSOSToContacts(supabase, sosData.id, recipients);
+          await saveSMSResults(supabase, sosData.id, smsResults);
 
-          if (smsResult.success) {
+          const delivered = smsResults.filter(r => r.success);
+          const unreached = recipients.filter((c, i) => !smsResults[i].success);
+
+          if (delivered.length) {
             statusEl.style.color = '#28a745';
-            statusEl.textContent = `SOS sent to ${contact.firstName || 'your contact'}! Help is coming.`;
-
-            await updateSOSStatusUI('waiting');
-            setTimeout(() => showSOSStatusModal(), 1000);
-
-            sosCooldown = true;
-            sosButton.disabled = true;
-            sosButton.innerHTML = 'SOS Sent (60s)';
-
-            let seconds = 60;
-            const timer = setInterval(() => {
-              seconds--;
-              sosButton.innerHTML = `SOS Sent (${seconds}s)`;
-              if (seconds <= 0) {
-                clearInterval(timer);
-                sosCooldown = false;
-                sosButton.disabled = false;
-                sosButton.innerHTML = 'SOS - EMERGENCY';
-                statusEl.style.display = 'none';
-              }
+            renderSMSResults(statusEl, smsResults, `SOS sent to ${delivered.length} of ${smsResults.length} contact${smsResults.length > 1 ? 's' : ''}! Help is coming.`);
+            if (unreached.length) renderNativeFallback(statusEl, { ...fallback, recipients: unreached });
+
+            setTimeout(() => {
+              showSOSStatusModal();
+              updateSOSDeliveryUI('sent');
+              updateSOSStatusUI('waiting');
             }, 1000);
+
+            startSOSCooldown();
           } else {
-            throw new Error(smsResult.error || 'SMS send failed');
+            statusEl.style.color = '#d32f2f';
+            renderSMSResults(statusEl, smsResults, 'Failed to send SOS: no contact could be reached.');
+            renderNativeFallback(statusEl, fallback);
           }
 
         } catch (err) {
           console.error('SOS Error:', err);
           statusEl.style.color = '#d32f2f';
           statusEl.textContent = `Failed to send SOS: ${err.message}`;
+          if (fallback) renderNativeFallback(statusEl, fallback);
         }
       },
       (err) => {
@@ -652,8 +2554,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       },
       { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
     );
+  };
+
+  setupSOSHoldTrigger(sosButton, {
+    isInstant: () => !!profile?.sos_instant_trigger,
+    onConfirm: sendSOS
   });
 
+  setupSilentSOSTrigger();
+
   // View SOS Status button
   const heroButtons = document.querySelector('.hero-buttons');
   if (heroButtons && !document.getElementById('viewSOSStatusBtn')) {
@@ -663,23 +2572,57 @@ document.addEventListener('DOMContentLoaded', async () => {
     statusBtn.style.cssText = 'background: #3b82f6; color: white; border-color: #3b82f6;';
     statusBtn.innerHTML = '<i class="fas fa-info-circle"></i> View SOS Status';
     statusBtn.addEventListener('click', async () => {
-      const supabase = await getSupabaseClient();
-      const { data: { session } } = await supabase.auth.getSession();
-      
+      const { supabase, session } = await getSOSSession();
+
       if (!session) {
         alert('Please log in to view SOS status');
         return;
       }
 
+      const queued = await getQueuedSOS().catch(() => []);
+      if (queued.length) {
+        currentUserSOSId = queued[queued.length - 1].id;
+        showSOSStatusModal();
+        updateSOSDeliveryUI('queued');
+        await updateSOSStatusUI('waiting');
+        return;
+      }
+
+      if (!supabase) {
+        alert('No connection. Your SOS status will load once you are back online.');
+        return;
+      }
+
       const statusData = await checkSOSStatus(supabase, session.user.id);
 
       if (statusData) {
-        await updateSOSStatusUI(statusData.status);
+        currentUserSOSId = statusData.id;
         showSOSStatusModal();
+        updateSOSDeliveryUI('sent');
+        await updateSOSStatusUI(statusData.status, statusData);
       } else {
         alert('No SOS requests found. Send an SOS first.');
       }
     });
     heroButtons.appendChild(statusBtn);
   }
+
+  // SOS for someone else button
+  if (heroButtons && !document.getElementById('sosForOtherBtn')) {
+    const otherBtn = document.createElement('button');
+    otherBtn.id = 'sosForOtherBtn';
+    otherBtn.className = 'btn btn-outline';
+    otherBtn.innerHTML = '<i class="fas fa-hands-helping"></i> SOS for Someone Else';
+    otherBtn.addEventListener('click', async () => {
+      const { session } = await getSOSSession();
+
+      if (!session) {
+        alert('Please log in to send an SOS');
+        return;
+      }
+
+      showSOSForOtherModal(profile);
+    });
+    heroButtons.appendChild(otherBtn);
+  }
 });
\ No newline at end of file
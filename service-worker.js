@@ -1,5 +1,5 @@
 // service-worker.js - FIXED VERSION for Mobile Push Notifications
-const CACHE_NAME = 'spc-alerts-v13';
+const CACHE_NAME = 'spc-alerts-v35';
 
 const urlsToCache = [
   '/public/html/index.html',
@@ -21,13 +21,21 @@ const urlsToCache = [
   '/public/css/incident-report.css',
   '/public/css/admin-dashboard.css',
   '/public/javascript/index.js',
+  '/public/javascript/sos.js',
+  '/public/javascript/sos-queue.js',
+  '/public/javascript/sos-chat.js',
+  '/public/javascript/safety-check.js',
+  '/public/javascript/plus-codes.js',
+  '/public/javascript/geocoding.js',
+  '/public/javascript/supabase-config.js',
+  '/public/javascript/emergency-contacts.js',
   '/public/javascript/incident-report.js',
   '/public/javascript/admin.js'
 ];
 
 // ==================== INSTALL EVENT ====================
 self.addEventListener('install', event => {
-  console.log('🔧 [SW] Installing Service Worker v13...');
+  console.log(`🔧 [SW] Installing Service Worker ${CACHE_NAME}...`);
   
   event.waitUntil(
     caches.open(CACHE_NAME)
@@ -177,11 +185,13 @@ self.addEventListener('push', event => {
     },
     tag: `spc-${Date.now()}`,   // Unique tag
     
-    // Action buttons (mobile-compatible)
-    actions: [
-      { action: 'open', title: '👁️ View' },
-      { action: 'close', title: '✕ Dismiss' }
-    ]
+    // Action buttons (mobile-compatible). Safety check-ins ask "Are you safe?" instead.
+    actions: notification.data?.safetyCheckId
+      ? SAFETY_CHECK_ACTIONS
+      : [
+        { action: 'open', title: '👁️ View' },
+        { action: 'close', title: '✕ Dismiss' }
+      ]
   };
   
   // ✅ SHOW NOTIFICATION IMMEDIATELY (critical for mobile)
@@ -221,6 +231,19 @@ self.addEventListener('push', event => {
 });
 
 // ==================== NOTIFICATION CLICK EVENT ====================
+// Safety check-in answers open the app, which records them with the user's session
+// (safety-check.js reads ?checkin=<id>&answer=safe|need_help)
+const SAFETY_CHECK_ACTIONS = [
+  { action: 'safe', title: "✅ I'm Safe" },
+  { action: 'need_help', title: '🆘 Need Help' }
+];
+
+function safetyCheckUrl(checkId, answer) {
+  const params = new URLSearchParams({ checkin: checkId });
+  if (answer) params.set('answer', answer);
+  return `/public/html/index.html?${params}`;
+}
+
 self.addEventListener('notificationclick', event => {
   console.log('🖱️ [SW] Notification clicked');
   
@@ -232,7 +255,13 @@ self.addEventListener('notificationclick', event => {
     return;
   }
 
-  const urlToOpen = event.notification.data?.url || '/public/html/index.html';
+  const checkId = event.notification.data?.safetyCheckId;
+  const answer = SAFETY_CHECK_ACTIONS.some(a => a.action === event.action) ? event.action : null;
+  if (checkId) console.log('🙋 [SW] Safety check-in answer:', answer || '(opened)');
+
+  const urlToOpen = checkId
+    ? safetyCheckUrl(checkId, answer)
+    : (event.notification.data?.url || '/public/html/index.html');
   console.log('🔗 [SW] Opening URL:', urlToOpen);
 
   event.waitUntil(
@@ -246,6 +275,10 @@ self.addEventListener('notificationclick', event => {
             const clientUrl = new URL(client.url);
             if (clientUrl.pathname === targetUrl.pathname && 'focus' in client) {
               console.log('✅ [SW] Focusing existing window');
+              // Same page is already open, so the query string won't be seen: hand the answer over directly
+              if (checkId) client.postMessage({ type: 'SAFETY_CHECK', checkId, answer });
+              const incidentId = targetUrl.searchParams.get('incident');
+              if (incidentId) client.postMessage({ type: 'OPEN_INCIDENT', incidentId });
               return client.focus();
             }
           } catch (e) {
@@ -317,6 +350,249 @@ self.addEventListener('pushsubscriptionchange', event => {
   );
 });
 
+// ==================== BACKGROUND SYNC (OFFLINE SOS QUEUE) ====================
+// sos.js queues SOS requests (and sos-chat.js chat messages) in IndexedDB when there is no data signal.
+// Keep DB name/version/stores in sync with public/javascript/sos-queue.js.
+const SOS_DB_NAME = 'spc-alerts';
+const SOS_DB_VERSION = 2;
+const SOS_STORE = 'sos-outbox';
+const CHAT_STORE = 'chat-outbox';
+const SOS_SYNC_TAG = 'sos-queue';
+
+self.addEventListener('sync', event => {
+  console.log('🔁 [SW] Sync event:', event.tag);
+
+  // The keep-alive tag from keep-alive.js doubles as a chance to drain leftovers
+  if (event.tag === SOS_SYNC_TAG || event.tag === 'keep-alive') {
+    // Chat goes after the SOS replay; messages whose SOS is still queued wait for it
+    event.waitUntil(
+      replayQueuedSOS()
+        .finally(() => replayQueuedChat())
+    );
+  }
+});
+
+function openSOSDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SOS_DB_NAME, SOS_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SOS_STORE)) {
+        db.createObjectStore(SOS_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(CHAT_STORE)) {
+        db.createObjectStore(CHAT_STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function sosStore(mode, fn, storeName = SOS_STORE) {
+  const db = await openSOSDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => { db.close(); resolve(request?.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+}
+
+async function replayQueuedSOS() {
+  const queued = (await sosStore('readonly', store => store.getAll())) || [];
+  if (queued.length === 0) return;
+
+  console.log(`📤 [SW] Replaying ${queued.length} queued SOS request(s)`);
+  let retry = false;
+
+  for (const entry of queued) {
+    // Its token expired earlier; only the app, with a fresh session, can send it now
+    if (!entry.access_token) continue;
+
+    try {
+      const results = await sendQueuedSOS(entry);
+      await sosStore('readwrite', store => store.delete(entry.id));
+
+      // null = the page already sent it
+      if (!results) continue;
+
+      console.log('✅ [SW] Queued SOS sent:', entry.id);
+      const delivered = results.filter(r => r.success).length;
+
+      // Silent SOS: nothing on screen that could give the requester away
+      if (!entry.silent) {
+        await self.registration.showNotification('SOS Sent', {
+          body: entry.request_type === 'on_behalf'
+            ? `Your queued SOS for ${entry.victim_name} reached the emergency center.`
+            : `Your queued SOS was sent. ${delivered} of ${results.length} contact(s) notified.`,
+          icon: '/public/img/icon-192.png',
+          badge: '/public/img/badge-72.png',
+          tag: 'sos-status',
+          data: { url: '/public/html/index.html' }
+        });
+      }
+
+      const clientList = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+      clientList.forEach(client => client.postMessage({ type: 'SOS_SYNCED', sosId: entry.id, results, silent: !!entry.silent }));
+    } catch (err) {
+      if (err.permanent) {
+        console.error('❌ [SW] Dropping queued SOS:', entry.id, err.message);
+        await sosStore('readwrite', store => store.delete(entry.id));
+      } else if (err.status === 401) {
+        // Don't keep a dead bearer token around; flushSOSQueue() in sos.js sends it when the app opens
+        console.warn('⚠️ [SW] Queued SOS waiting for the app to sign in again:', entry.id);
+        await sosStore('readwrite', store => store.put({ ...entry, access_token: null }));
+      } else {
+        console.warn('⚠️ [SW] Queued SOS will be retried:', entry.id, err.message);
+        retry = true;
+      }
+    }
+  }
+
+  // Rejecting makes the browser schedule another sync attempt
+  if (retry) throw new Error('Some queued SOS requests could not be sent yet');
+}
+
+async function sendQueuedSOS(entry) {
+  const headers = {
+    'apikey': entry.anon_key,
+    'Authorization': `Bearer ${entry.access_token}`,
+    'Content-Type': 'application/json'
+  };
+
+  const insertRes = await fetch(`${entry.supabase_url}/rest/v1/sos_requests`, {
+    method: 'POST',
+    headers: { ...headers, 'Prefer': 'return=minimal' },
+    body: JSON.stringify({
+      id: entry.id,
+      user_id: entry.user_id,
+      location: entry.location,
+      address: entry.address || null,
+      barangay: entry.barangay || null,
+      contact_phone: entry.contact_phone,
+      status: entry.status,
+      queued_at: entry.queued_at,
+      category: entry.category || null,
+      note: entry.note || null,
+      native_fallback: entry.native_fallback || null,
+      silent: !!entry.silent,
+      request_type: entry.request_type || 'self',
+      victim_name: entry.victim_name || null,
+      victim_condition: entry.victim_condition || null
+    })
+  });
+
+  if (insertRes.status === 409) return null;
+
+  if (!insertRes.ok) {
+    const err = new Error(`Insert failed (${insertRes.status})`);
+    err.status = insertRes.status;
+    // Expired session: leave it queued so the app can send it with a fresh token
+    err.permanent = insertRes.status !== 401 && insertRes.status < 500;
+    throw err;
+  }
+
+  const results = await Promise.all(entry.recipients.map(async contact => {
+    const result = {
+      name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim() || contact.phone,
+      phone: contact.phone,
+      priority: contact.priority,
+      success: false,
+      messageId: null,
+      error: null,
+      code: null,
+      sent_at: new Date().toISOString()
+    };
+
+    try {
+      const res = await fetch(`${entry.supabase_url}/functions/v1/send-sos-sms`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ to: contact.phone, sos_id: entry.id })
+      });
+      const json = await res.json();
+      result.success = !!json.success;
+      result.messageId = json.messageId || null;
+      result.code = json.code || null;
+      result.error = json.success ? null : (json.error || `HTTP ${res.status}`);
+    } catch (err) {
+      result.error = err.message;
+    }
+
+    return result;
+  }));
+
+  // Requesters can't PATCH sos_requests; save_sos_sms_results() only touches sms_results
+  await fetch(`${entry.supabase_url}/rest/v1/rpc/save_sos_sms_results`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ p_sos_id: entry.id, p_results: results })
+  }).catch(err => console.warn('⚠️ [SW] Failed to save SMS results:', err));
+
+  return results;
+}
+
+async function replayQueuedChat() {
+  const queued = (await sosStore('readonly', store => store.getAll(), CHAT_STORE)) || [];
+  if (queued.length === 0) return;
+
+  console.log(`📤 [SW] Replaying ${queued.length} queued chat message(s)`);
+  queued.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  let retry = false;
+
+  // The insert policy looks the SOS up, so a message on an unsent SOS would fail with 403
+  const queuedSOS = (await sosStore('readonly', store => store.getAllKeys())) || [];
+  const queuedSOSIds = new Set(queuedSOS);
+
+  for (const entry of queued) {
+    // Sent with its SOS on a later sync; a token-less entry is left for the app (flushChatQueue)
+    if (queuedSOSIds.has(entry.sos_id) || !entry.access_token) continue;
+
+    try {
+      const res = await fetch(`${entry.supabase_url}/rest/v1/sos_messages`, {
+        method: 'POST',
+        headers: {
+          'apikey': entry.anon_key,
+          'Authorization': `Bearer ${entry.access_token}`,
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({
+          id: entry.id,
+          sos_id: entry.sos_id,
+          sender_id: entry.sender_id,
+          sender_role: entry.sender_role,
+          body: entry.body,
+          created_at: entry.created_at
+        })
+      });
+
+      // 409 = already stored
+      if (res.status === 401) {
+        console.warn('⚠️ [SW] Queued chat message waiting for the app to sign in again:', entry.id);
+        await sosStore('readwrite', store => store.put({ ...entry, access_token: null }), CHAT_STORE);
+        continue;
+      } else if (res.status >= 500) {
+        retry = true;
+        continue;
+      } else if (!res.ok && res.status !== 409) {
+        console.error('❌ [SW] Dropping queued chat message:', entry.id, res.status);
+      }
+
+      await sosStore('readwrite', store => store.delete(entry.id), CHAT_STORE);
+
+      const clientList = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+      clientList.forEach(client => client.postMessage({ type: 'CHAT_SYNCED', messageId: entry.id, sosId: entry.sos_id }));
+    } catch (err) {
+      console.warn('⚠️ [SW] Queued chat message will be retried:', entry.id, err.message);
+      retry = true;
+    }
+  }
+
+  if (retry) throw new Error('Some queued chat messages could not be sent yet');
+}
+
 // ==================== MESSAGE EVENT ====================
 self.addEventListener('message', event => {
   console.log('💬 [SW] Message from client:', event.data?.type);
@@ -350,5 +626,5 @@ function urlBase64ToUint8Array(base64String) {
   return outputArray;
 }
 
-console.log('✅ [SW] Service Worker script loaded - v13');
+console.log(`✅ [SW] Service Worker script loaded - ${CACHE_NAME}`);
 console.log('🌐 [SW] Origin:', self.location.origin);
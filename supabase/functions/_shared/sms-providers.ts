@@ -0,0 +1,192 @@
+// supabase/functions/_shared/sms-providers.ts
+// Pluggable SMS providers with ordered failover.
+//
+// Configuration (Edge Function secrets / supabase/functions/.env for local):
+//   SMS_PROVIDERS      Comma-separated order to try, e.g. "philsms,semaphore". Default: "philsms"
+//   PHILSMS_API_TOKEN  PhilSMS bearer token
+//   PHILSMS_SENDER_ID  Optional, defaults to "PhilSMS" (the only sender ID that works without approval)
+//   SEMAPHORE_API_KEY  Semaphore API key
+//   SEMAPHORE_SENDER   Optional approved Semaphore sender name
+//   SMS_HTTP_URL       Generic HTTP gateway endpoint (receives JSON { to, message })
+//   SMS_HTTP_TOKEN     Optional bearer token for the generic gateway
+//
+// Use SMS_PROVIDERS="mock" in local Supabase: texts are written to sms_mock_outbox instead of being sent.
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+export interface SmsSendResult {
+  messageId: string | null;
+}
+
+export interface SmsProvider {
+  name: string;
+  send(to: string, message: string): Promise<SmsSendResult>;
+}
+
+export interface SmsAttempt {
+  provider: string;
+  success: boolean;
+  error?: string;
+}
+
+export class SmsFailoverError extends Error {
+  attempts: SmsAttempt[];
+
+  constructor(attempts: SmsAttempt[]) {
+    super(attempts.map((a) => `${a.provider}: ${a.error}`).join("; ") || "No SMS provider configured");
+    this.name = "SmsFailoverError";
+    this.attempts = attempts;
+  }
+}
+
+function requireEnv(name: string): string {
+  const value = Deno.env.get(name);
+  if (!value) throw new Error(`${name} is not set`);
+  return value;
+}
+
+const philsms: SmsProvider = {
+  name: "philsms",
+  async send(to, message) {
+    const res = await fetch("https://dashboard.philsms.com/api/v3/sms/send", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${requireEnv("PHILSMS_API_TOKEN")}`,
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+      },
+      body: JSON.stringify({
+        recipient: to,
+        sender_id: Deno.env.get("PHILSMS_SENDER_ID") || "PhilSMS",
+        type: "plain",
+        message,
+      }),
+    });
+
+    const text = await res.text();
+    console.log("PhilSMS Raw Response:", text);
+    const json = JSON.parse(text);
+
+    if (!res.ok || json.status !== "success") {
+      throw new Error(json.message || json.error || text);
+    }
+    return { messageId: json.data?.uid || json.data?.id || null };
+  },
+};
+
+const semaphore: SmsProvider = {
+  name: "semaphore",
+  async send(to, message) {
+    const params = new URLSearchParams({
+      apikey: requireEnv("SEMAPHORE_API_KEY"),
+      number: to.replace(/^\+/, ""),
+      message,
+    });
+    const sender = Deno.env.get("SEMAPHORE_SENDER");
+    if (sender) params.set("sendername", sender);
+
+    const res = await fetch("https://api.semaphore.co/api/v4/messages", {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: params,
+    });
+
+    const text = await res.text();
+    console.log("Semaphore Raw Response:", text);
+    const json = JSON.parse(text);
+    const first = Array.isArray(json) ? json[0] : null;
+
+    if (!res.ok || !first?.message_id || String(first.status).toLowerCase() === "failed") {
+      throw new Error(first?.status || json.message || text);
+    }
+    return { messageId: String(first.message_id) };
+  },
+};
+
+const http: SmsProvider = {
+  name: "http",
+  async send(to, message) {
+    const token = Deno.env.get("SMS_HTTP_TOKEN");
+    const res = await fetch(requireEnv("SMS_HTTP_URL"), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { "Authorization": `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({ to, message }),
+    });
+
+    const text = await res.text();
+    console.log("HTTP gateway Raw Response:", text);
+    if (!res.ok) throw new Error(`Gateway responded ${res.status}: ${text}`);
+
+    let json: any = {};
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // Plain-text OK responses are fine
+    }
+    return { messageId: json.messageId || json.message_id || json.id || null };
+  },
+};
+
+function mockProvider(supabase: SupabaseClient): SmsProvider {
+  return {
+    name: "mock",
+    async send(to, message) {
+      const messageId = `mock-${crypto.randomUUID()}`;
+      console.log(`📵 [mock SMS] → ${to}\n${message}`);
+
+      const { error } = await supabase
+        .from("sms_mock_outbox")
+        .insert({ provider_message_id: messageId, recipient: to, message });
+      if (error) console.warn("mock outbox insert failed (logged only):", error.message);
+
+      return { messageId };
+    },
+  };
+}
+
+export function getProviderChain(supabase: SupabaseClient): SmsProvider[] {
+  const available: Record<string, SmsProvider> = {
+    philsms,
+    semaphore,
+    http,
+    mock: mockProvider(supabase),
+  };
+
+  const names = (Deno.env.get("SMS_PROVIDERS") || "philsms")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names.flatMap((name) => {
+    if (!available[name]) {
+      console.warn(`Unknown SMS provider "${name}" in SMS_PROVIDERS, skipping`);
+      return [];
+    }
+    return [available[name]];
+  });
+}
+
+// Try each provider in order until one accepts the message
+export async function sendWithFailover(
+  providers: SmsProvider[],
+  to: string,
+  message: string,
+): Promise<SmsSendResult & { provider: string; attempts: SmsAttempt[] }> {
+  const attempts: SmsAttempt[] = [];
+
+  for (const provider of providers) {
+    try {
+      const result = await provider.send(to, message);
+      attempts.push({ provider: provider.name, success: true });
+      return { ...result, provider: provider.name, attempts };
+    } catch (err: any) {
+      console.error(`SMS provider ${provider.name} failed:`, err.message);
+      attempts.push({ provider: provider.name, success: false, error: err.message });
+    }
+  }
+
+  throw new SmsFailoverError(attempts);
+}
@@ -0,0 +1,202 @@
+// supabase/functions/escalate-sos/index.ts
+// Runs every minute (pg_cron, see migrations/*_sos_escalation.sql). Finds SOS requests that have sat in
+// `waiting` or `dispatched` too long and escalates them: targeted push to every admin plus an SMS to the
+// on-call duty officer. Repeats at increasing intervals until an admin acknowledges or the status moves on.
+//
+// Configuration (Edge Function secrets):
+//   ESCALATION_SECRET                Shared secret sent by the cron job in the x-escalation-secret header
+//   ESCALATE_WAITING_MINUTES         Default 5
+//   ESCALATE_DISPATCHED_MINUTES      Default 30
+//   ESCALATE_REPEAT_MINUTES          First repeat interval, doubled each level (default 5)
+//   ESCALATE_MAX_REPEAT_MINUTES      Cap for the repeat interval (default 60)
+//   DUTY_OFFICER_PHONE               On-call number for the secondary SMS (optional)
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { getProviderChain, SmsFailoverError, sendWithFailover } from "../_shared/sms-providers.ts";
+
+const SECRET = Deno.env.get("ESCALATION_SECRET");
+const THRESHOLD_MINUTES: Record<string, number> = {
+  waiting: Number(Deno.env.get("ESCALATE_WAITING_MINUTES") || 5),
+  dispatched: Number(Deno.env.get("ESCALATE_DISPATCHED_MINUTES") || 30),
+};
+const REPEAT_MINUTES = Number(Deno.env.get("ESCALATE_REPEAT_MINUTES") || 5);
+const MAX_REPEAT_MINUTES = Number(Deno.env.get("ESCALATE_MAX_REPEAT_MINUTES") || 60);
+const DUTY_OFFICER_PHONE = Deno.env.get("DUTY_OFFICER_PHONE");
+
+const STATUS_LABELS: Record<string, string> = { waiting: "waiting", dispatched: "dispatched without arrival" };
+
+const supabase = createClient(
+  Deno.env.get("SUPABASE_URL")!,
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+);
+const providers = getProviderChain(supabase);
+
+// 5, 10, 20, 40, 60, 60... minutes between repeats
+function repeatIntervalMs(level: number) {
+  return Math.min(MAX_REPEAT_MINUTES, REPEAT_MINUTES * 2 ** (level - 1)) * 60000;
+}
+
+// When the SOS entered its current status (latest history row, else created_at)
+async function loadStatusSince(sosIds: string[]) {
+  const since = new Map<string, number>();
+  if (!sosIds.length) return since;
+
+  const { data, error } = await supabase
+    .from("sos_status_history")
+    .select("sos_id, new_status, changed_at")
+    .in("sos_id", sosIds)
+    .order("changed_at", { ascending: false });
+
+  if (error) throw error;
+  (data || []).forEach((h) => {
+    if (!since.has(h.sos_id)) since.set(h.sos_id, new Date(h.changed_at).getTime());
+  });
+  return since;
+}
+
+async function notifyAdmins(sos: any, level: number, minutes: number, requester: string) {
+  const { data: admins, error } = await supabase
+    .from("users")
+    .select("id")
+    .eq("is_admin", true);
+
+  if (error || !admins?.length) return { delivered_to: 0, error: error?.message || "No admins found" };
+
+  const { data, error: pushError } = await supabase.functions.invoke("send-push", {
+    body: {
+      title: `🔺 ${sos.silent ? "Silent " : ""}SOS Escalation (level ${level})`,
+      body: `${requester}'s SOS has been ${STATUS_LABELS[sos.status]} for ${minutes} min. Please acknowledge.`,
+      url: `/public/html/admin-sos.html?sos=${sos.id}`,
+      urgency: "high",
+      user_ids: admins.map((a) => a.id),
+      data: { type: "sos_escalation", sosId: sos.id, level },
+    },
+  });
+
+  if (pushError) return { delivered_to: 0, error: pushError.message };
+  return { delivered_to: data?.delivered_to || 0, error: null };
+}
+
+async function textDutyOfficer(sos: any, level: number, minutes: number, requester: string) {
+  if (!DUTY_OFFICER_PHONE) return { success: false, error: "DUTY_OFFICER_PHONE not set" };
+
+  const { lat, lng } = sos.location || {};
+  const message = [
+    `SPC ALERTS ESCALATION L${level}`,
+    `SOS from ${requester} ${STATUS_LABELS[sos.status]} for ${minutes} min.`,
+    sos.silent ? "SILENT SOS - do NOT call the requester." : null,
+    sos.category ? `Category: ${sos.category}` : null,
+    sos.victim_condition ? `Condition: ${sos.victim_condition}` : null,
+    sos.request_type === "on_behalf" ? `Callback (reporter): ${sos.contact_phone}` : null,
+    sos.address ? `Location: ${sos.address}` : null,
+    sos.location?.plus_code ? `Plus Code: ${sos.location.plus_code}` : null,
+    typeof lat === "number" ? `Map: https://maps.google.com/?q=${lat},${lng}` : null,
+    "Acknowledge in the admin SOS console.",
+  ].filter(Boolean).join("\n");
+
+  try {
+    const { provider, messageId } = await sendWithFailover(providers, DUTY_OFFICER_PHONE, message);
+    await supabase.from("sms_messages").insert({
+      sos_id: sos.id,
+      recipient: DUTY_OFFICER_PHONE,
+      provider,
+      provider_message_id: messageId,
+      status: "sent",
+    });
+    return { success: true, error: null };
+  } catch (err: any) {
+    const attempts = err instanceof SmsFailoverError ? err.attempts : [];
+    await supabase.from("sms_messages").insert({
+      sos_id: sos.id,
+      recipient: DUTY_OFFICER_PHONE,
+      provider: attempts.length ? attempts[attempts.length - 1].provider : "none",
+      status: "failed",
+      error: err.message,
+    });
+    return { success: false, error: err.message };
+  }
+}
+
+serve(async (req) => {
+  if (!SECRET || req.headers.get("x-escalation-secret") !== SECRET) {
+    return new Response(JSON.stringify({ error: "Unauthorized" }), {
+      status: 401,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const now = Date.now();
+  const escalated: Record<string, unknown>[] = [];
+
+  try {
+    const { data: open, error } = await supabase
+      .from("sos_requests")
+      .select("id, user_id, status, location, address, category, silent, request_type, victim_name, victim_condition, contact_phone, created_at, escalation_level, escalation_status, next_escalation_at, escalation_acknowledged_at")
+      .in("status", Object.keys(THRESHOLD_MINUTES));
+
+    if (error) throw error;
+
+    const since = await loadStatusSince((open || []).map((s) => s.id));
+
+    for (const sos of open || []) {
+      const enteredAt = since.get(sos.id) ?? new Date(sos.created_at).getTime();
+      const minutes = Math.floor((now - enteredAt) / 60000);
+      if (minutes < THRESHOLD_MINUTES[sos.status]) continue;
+
+      // A status change starts a new escalation episode; acknowledgement only silences the current one
+      const fresh = sos.escalation_status !== sos.status;
+      if (!fresh && sos.escalation_acknowledged_at) continue;
+      if (!fresh && sos.next_escalation_at && new Date(sos.next_escalation_at).getTime() > now) continue;
+
+      const previousLevel = fresh ? 0 : (sos.escalation_level || 0);
+      const level = previousLevel + 1;
+
+      // Claim this level first so overlapping runs can't escalate the same SOS twice
+      const { data: claimed, error: claimError } = await supabase
+        .from("sos_requests")
+        .update({
+          escalation_level: level,
+          escalation_status: sos.status,
+          escalated_at: new Date(now).toISOString(),
+          next_escalation_at: new Date(now + repeatIntervalMs(level)).toISOString(),
+          escalation_acknowledged_at: null,
+          escalation_acknowledged_by: null,
+        })
+        .eq("id", sos.id)
+        .eq("escalation_level", sos.escalation_level || 0)
+        .select("id");
+
+      if (claimError) {
+        console.error(`Could not claim escalation for ${sos.id}:`, claimError.message);
+        continue;
+      }
+      if (!claimed?.length) continue;
+
+      const { data: user } = await supabase
+        .from("users")
+        .select("first_name, last_name")
+        .eq("id", sos.user_id)
+        .maybeSingle();
+      const reporter = `${user?.first_name || ""} ${user?.last_name || ""}`.trim() || "Unknown user";
+      const requester = sos.request_type === "on_behalf" ? `${sos.victim_name} (reported by ${reporter})` : reporter;
+
+      const [push, sms] = await Promise.all([
+        notifyAdmins(sos, level, minutes, requester),
+        textDutyOfficer(sos, level, minutes, requester),
+      ]);
+
+      console.log(`🔺 Escalated SOS ${sos.id} to level ${level} (${sos.status} ${minutes} min)`, { push, sms });
+      escalated.push({ id: sos.id, level, status: sos.status, minutes, push, sms });
+    }
+
+    return new Response(JSON.stringify({ success: true, checked: open?.length || 0, escalated }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (err: any) {
+    console.error("Escalation run failed:", err.message);
+    return new Response(JSON.stringify({ success: false, error: err.message, escalated }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+});
@@ -1,63 +1,285 @@
 // supabase/functions/send-sos-sms/index.ts
+// Texts one of the caller's own emergency contacts about one of the caller's own SOS requests.
+// The message is built here from the SOS record, so callers can't use this as a free SMS gateway.
+//
+// Request:  POST { sos_id, to }  with the user's access token as Bearer
+// Errors:   { success: false, code, error } — see the `fail(...)` calls below for codes
+//
+// Limits (Edge Function secrets), enforced atomically by claim_sms_send():
+//   SMS_USER_HOURLY_LIMIT    Texts per user per hour (default 20)
+//   SMS_GLOBAL_HOURLY_LIMIT  Texts across all users per hour (default 500)
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { getProviderChain, SmsFailoverError, sendWithFailover } from "../_shared/sms-providers.ts";
 
-const TOKEN = Deno.env.get("PHILSMS_API_TOKEN")!;
+const USER_HOURLY_LIMIT = Number(Deno.env.get("SMS_USER_HOURLY_LIMIT") || 20);
+const GLOBAL_HOURLY_LIMIT = Number(Deno.env.get("SMS_GLOBAL_HOURLY_LIMIT") || 500);
 
-serve(async (req) => {
-  const cors = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-  };
+// No more texts once the emergency is over
+const CLOSED_STATUSES = ["cancelled", "resolved", "unable_to_locate"];
+
+// Service-role client so every outbound SMS lands in sms_messages regardless of RLS
+const supabase = createClient(
+  Deno.env.get("SUPABASE_URL")!,
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+);
+
+// Ordered by SMS_PROVIDERS; the next one is tried when a provider errors
+const providers = getProviderChain(supabase);
+
+const cors = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+function respond(status: number, body: Record<string, unknown>) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...cors },
+  });
+}
+
+function fail(status: number, code: string, error: string) {
+  console.warn(`Rejected (${code}):`, error);
+  return respond(status, { success: false, code, error });
+}
+
+// +639XXXXXXXXX, or null when it isn't a PH mobile number
+function normalizePhone(input: string): string | null {
+  let phone = String(input || "").replace(/\D/g, "");
+  if (phone.startsWith("09")) phone = "63" + phone.slice(1);
+  if (phone.startsWith("9") && phone.length === 10) phone = "63" + phone;
+  phone = "+" + phone;
+  return /^\+639\d{9}$/.test(phone) ? phone : null;
+}
+
+// Same rules as getSOSRecipients() in public/javascript/emergency-contacts.js
+function allowedRecipients(user: any): Set<string> {
+  let contacts = Array.isArray(user?.emergency_contacts) ? user.emergency_contacts : [];
+  if (!contacts.length && user?.emergency_contact?.phone) contacts = [user.emergency_contact];
+
+  return new Set(
+    contacts
+      .filter((c: any) => c?.phone && c.notify !== false)
+      .map((c: any) => normalizePhone(c.phone))
+      .filter(Boolean),
+  );
+}
+
+// Only for SOS rows saved without an address (sent offline, replayed by the service worker);
+// the app stores the address on the row when it can, see public/javascript/geocoding.js
+async function getAddress(lat: number, lng: number): Promise<string> {
+  try {
+    const res = await fetch(`https://photon.komoot.io/reverse?lat=${lat}&lon=${lng}`);
+    const json = await res.json();
+    const p = json.features?.[0]?.properties;
+    const parts = [p?.name, p?.street, p?.district || p?.locality, p?.city].filter(Boolean);
+    if (parts.length) return [...new Set(parts)].join(", ");
+  } catch (err: any) {
+    console.warn("Reverse geocoding failed:", err.message);
+  }
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+}
+
+// Silent SOS: the requester may be hiding, so a ringing phone could give them away
+const SILENT_WARNING = "SILENT SOS - do NOT call back. They may not be safe to answer.\n\n";
+
+async function buildMessage(sos: any, user: any): Promise<string> {
+  const name = user?.first_name || "Someone";
+  const { lat, lng } = sos.location || {};
+  const time = new Date(sos.created_at).toLocaleString("en-PH", { timeZone: "Asia/Manila" });
+  const warning = sos.silent ? SILENT_WARNING : "";
+
+  if (typeof lat !== "number" || typeof lng !== "number") {
+    return `${warning}${name} needs urgent help!\n\nTime: ${time}\n\nSent from SPC Alerts App`;
+  }
+
+  const address = sos.address || await getAddress(lat, lng);
+  return `${warning}${name} needs urgent help!\n\nLocation: ${address}\n${locationDetails(sos.location)}Map: https://maps.google.com/?q=${lat},${lng}\nTime: ${time}\n\nSent from SPC Alerts App`;
+}
+
+// Plus Code + accuracy radius (computed on the phone, see public/javascript/plus-codes.js).
+// Older SOS records don't have them.
+function locationDetails(location: any): string {
+  const lines = [];
+  if (location?.plus_code) {
+    const accuracy = Number.isFinite(location.accuracy) ? ` (±${Math.round(location.accuracy)} m)` : "";
+    lines.push(`Plus Code: ${location.plus_code}${accuracy}`);
+  }
+  if (Number.isFinite(location?.altitude)) lines.push(`Altitude: ${Math.round(location.altitude)} m`);
+  return lines.map((line) => line + "\n").join("");
+}
+
+// A claim left by a send that crashed mid-way is taken over after this long
+const CLAIM_STALE_SECONDS = 120;
+
+// Hourly limits and "text this contact once per SOS", checked and claimed atomically by
+// claim_sms_send() (see sms_send_claims). A failed send releases its claim, so a provider
+// outage doesn't use up the user's quota.
+async function claimSend(sosId: string, phone: string, userId: string): Promise<string> {
+  const { data, error } = await supabase.rpc("claim_sms_send", {
+    p_sos_id: sosId,
+    p_recipient: phone,
+    p_user_id: userId,
+    p_user_limit: USER_HOURLY_LIMIT,
+    p_global_limit: GLOBAL_HOURLY_LIMIT,
+    p_stale_seconds: CLAIM_STALE_SECONDS,
+  });
+  if (error) throw error;
+  return data;
+}
+
+// The text went out: replays must never take this claim over
+async function markClaimSent(sosId: string, phone: string) {
+  const { error } = await supabase
+    .from("sms_send_claims")
+    .update({ sent_at: new Date().toISOString() })
+    .eq("sos_id", sosId)
+    .eq("recipient", phone);
+  if (error) console.error("Failed to mark SMS claim sent:", error.message);
+}
+
+async function releaseClaim(sosId: string, phone: string) {
+  const { error } = await supabase.from("sms_send_claims").delete().eq("sos_id", sosId).eq("recipient", phone);
+  if (error) console.error("Failed to release SMS claim:", error.message);
+}
+
+async function recordMessage(row: Record<string, unknown>) {
+  const { data, error } = await supabase
+    .from("sms_messages")
+    .insert(row)
+    .select("id")
+    .single();
+
+  if (error) {
+    console.error("Failed to record SMS:", error.message);
+    return null;
+  }
+  return data.id;
+}
 
+serve(async (req) => {
   if (req.method === "OPTIONS") return new Response(null, { headers: cors });
+  if (req.method !== "POST") return fail(405, "method_not_allowed", "Use POST");
+
+  // — Caller must be a signed-in user, not just the anon key —
+  const jwt = (req.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  const { data: { user: authUser }, error: authError } = await supabase.auth.getUser(jwt);
+  if (authError || !authUser) return fail(401, "unauthenticated", "Sign in to send SOS texts");
 
+  let body: any;
   try {
-    const { to, message } = await req.json();
+    body = await req.json();
+  } catch {
+    return fail(400, "invalid_request", "Body must be JSON");
+  }
 
-    // — Phone formatting —
-    let phone = to.replace(/\D/g, "");
-    if (phone.startsWith("09")) phone = "63" + phone.slice(1);
-    if (phone.startsWith("9") && phone.length === 10) phone = "63" + phone;
-    phone = "+" + phone;
-    if (!/^\+639\d{9}$/.test(phone)) throw new Error("Invalid number: " + phone);
+  const sosId = body?.sos_id;
+  if (!sosId) return fail(400, "invalid_request", "sos_id is required");
 
-    // — THIS IS THE ONLY COMBINATION THAT WORKS WITHOUT APPROVAL —
-    const payload = {
-      recipient: phone,
-      sender_id: "PhilSMS",      // ← Must be exactly this (all caps)
-      type: "plain",
-      message: message.trim(),
-    };
+  const phone = normalizePhone(body.to);
+  if (!phone) return fail(400, "invalid_recipient", `Not a PH mobile number: ${body.to}`);
 
-    console.log("Sending →", phone);
+  // — SOS must belong to the caller and still be open —
+  const { data: sos, error: sosError } = await supabase
+    .from("sos_requests")
+    .select("id, user_id, location, address, status, silent, created_at")
+    .eq("id", sosId)
+    .maybeSingle();
+
+  if (sosError) return fail(500, "lookup_failed", sosError.message);
+  if (!sos) return fail(404, "sos_not_found", "SOS request not found");
+  if (sos.user_id !== authUser.id) return fail(403, "sos_not_owned", "This SOS belongs to another user");
+  if (CLOSED_STATUSES.includes(sos.status)) return fail(409, "sos_closed", `SOS is already ${sos.status}`);
+
+  // — Recipient must be one of the caller's opted-in emergency contacts —
+  const { data: profile, error: profileError } = await supabase
+    .from("users")
+    .select("first_name, emergency_contact, emergency_contacts")
+    .eq("id", authUser.id)
+    .single();
+
+  if (profileError) return fail(500, "lookup_failed", profileError.message);
+  if (!allowedRecipients(profile).has(phone)) {
+    return fail(403, "recipient_not_allowed", "Number is not one of your SOS emergency contacts");
+  }
+
+  // — Rate limits + replays (service worker + app both flushing the outbox) must not text twice —
+  let claim: string;
+  try {
+    claim = await claimSend(sosId, phone, authUser.id);
+  } catch (err: any) {
+    return fail(500, "lookup_failed", err.message);
+  }
 
-    const res = await fetch("https://dashboard.philsms.com/api/v3/sms/send", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${TOKEN}`,
-        "Content-Type": "application/json",
-        "Accept": "application/json",
-      },
-      body: JSON.stringify(payload),
+  if (claim === "rate_limited_user") {
+    return fail(429, "rate_limited_user", "Too many SOS texts from your account. Call (049) 562-3333.");
+  }
+  if (claim === "rate_limited_global") {
+    return fail(429, "rate_limited_global", "SOS texting is temporarily busy. Call (049) 562-3333.");
+  }
+  if (claim !== "claimed") {
+    const { data: existing } = await supabase
+      .from("sms_messages")
+      .select("id, provider, provider_message_id")
+      .eq("sos_id", sosId)
+      .eq("recipient", phone)
+      .in("status", ["sent", "delivered"])
+      .limit(1)
+      .maybeSingle();
+
+    return respond(200, {
+      success: true,
+      duplicate: true,
+      // The other request is still talking to the provider
+      pending: claim === "in_progress",
+      provider: existing?.provider || null,
+      messageId: existing?.provider_message_id || null,
+      smsMessageId: existing?.id || null,
     });
+  }
 
-    const text = await res.text();
-    console.log("PhilSMS Raw Response:", text);
+  let sent;
+  try {
+    const message = await buildMessage(sos, profile);
 
-    const json = JSON.parse(text);
+    console.log("Sending →", phone);
 
-    if (res.ok && json.status === "success") {
-      return new Response(JSON.stringify({ success: true, messageId: json.data?.id }), {
-        headers: { "Content-Type": "application/json", ...cors },
-      });
-    } else {
-      throw new Error(json.message || json.error || text);
-    }
+    sent = await sendWithFailover(providers, phone, message);
   } catch (err: any) {
+    // Nothing went out: free the contact for a retry
     console.error("Final error:", err.message);
-    return new Response(JSON.stringify({ success: false, error: err.message }), {
-      headers: { "Content-Type": "application/json", ...cors },
+    await releaseClaim(sosId, phone);
+
+    const attempts = err instanceof SmsFailoverError ? err.attempts : [];
+    const lastProvider = attempts.length ? attempts[attempts.length - 1].provider : "none";
+
+    const smsMessageId = await recordMessage({
+      sos_id: sosId,
+      user_id: authUser.id,
+      recipient: phone,
+      provider: lastProvider,
+      status: "failed",
+      error: err.message,
     });
+
+    return respond(502, { success: false, code: "provider_failed", error: err.message, smsMessageId, attempts });
   }
-});
\ No newline at end of file
+
+  // The text went out. Keep the claim even if the log row can't be saved, or a retry would text again.
+  const { provider, messageId, attempts } = sent;
+  await markClaimSent(sosId, phone);
+
+  const smsMessageId = await recordMessage({
+    sos_id: sosId,
+    user_id: authUser.id,
+    recipient: phone,
+    provider,
+    provider_message_id: messageId,
+    status: "sent",
+  });
+  if (!smsMessageId) console.error("SMS to", phone, "was sent but not recorded; provider id:", messageId);
+
+  return respond(200, { success: true, provider, messageId, smsMessageId, attempts });
+});
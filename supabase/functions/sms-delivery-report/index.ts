@@ -0,0 +1,128 @@
+// supabase/functions/sms-delivery-report/index.ts
+// Delivery-report (DLR) webhook for outbound SOS texts.
+// Configure each provider's callback URL with its name from SMS_PROVIDERS, e.g. for PhilSMS:
+//   https://<project>.supabase.co/functions/v1/sms-delivery-report?provider=philsms&token=<SMS_WEBHOOK_SECRET>
+// Message ids are only unique per provider, so reports are matched on both.
+// Deployed with verify_jwt = false (see config.toml); the shared token authenticates the provider.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const WEBHOOK_SECRET = Deno.env.get("SMS_WEBHOOK_SECRET");
+
+const supabase = createClient(
+  Deno.env.get("SUPABASE_URL")!,
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+);
+
+// Provider wording → sms_messages.status
+const STATUS_MAP: Record<string, string> = {
+  delivered: "delivered",
+  delivrd: "delivered",
+  success: "delivered",
+  sent: "sent",
+  accepted: "sent",
+  enroute: "sent",
+  pending: "sent",
+  queued: "sent",
+  undelivered: "undelivered",
+  undeliv: "undelivered",
+  expired: "undelivered",
+  rejected: "failed",
+  rejectd: "failed",
+  failed: "failed",
+  error: "failed",
+};
+
+// A row that reached one of these stays there: a late or repeated "sent" must not undo "delivered"
+const FINAL_STATUSES = ["delivered", "failed", "undelivered"];
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+// Providers post either JSON or form-encoded bodies, and some use GET with query params
+async function readReport(req: Request, url: URL): Promise<Record<string, string>> {
+  const report: Record<string, string> = Object.fromEntries(url.searchParams);
+  if (req.method !== "POST") return report;
+
+  const type = req.headers.get("content-type") || "";
+  if (type.includes("application/json")) {
+    const body = await req.json();
+    return { ...report, ...(body.data || body) };
+  }
+
+  const form = await req.formData();
+  form.forEach((value, key) => (report[key] = String(value)));
+  return report;
+}
+
+serve(async (req) => {
+  const url = new URL(req.url);
+
+  if (!WEBHOOK_SECRET || url.searchParams.get("token") !== WEBHOOK_SECRET) {
+    return json({ error: "unauthorized" }, 401);
+  }
+
+  const provider = url.searchParams.get("provider");
+  if (!provider) {
+    return json({ error: "provider is required in the callback URL" }, 400);
+  }
+
+  try {
+    const report = await readReport(req, url);
+    console.log("DLR received:", report);
+
+    const providerMessageId = report.uid || report.message_id || report.messageId || report.id;
+    const rawStatus = String(report.status || report.dlr_status || "").toLowerCase();
+    const status = STATUS_MAP[rawStatus];
+
+    if (!providerMessageId || !status) {
+      return json({ error: "missing message id or unknown status", received: report }, 400);
+    }
+
+    const now = new Date().toISOString();
+    const update: Record<string, unknown> = {
+      status,
+      provider_status: rawStatus,
+      updated_at: now,
+    };
+    if (status === "delivered") update.delivered_at = now;
+    if (status === "failed" || status === "undelivered") {
+      update.error = report.error || report.reason || report.description || rawStatus;
+    }
+
+    const { data, error } = await supabase
+      .from("sms_messages")
+      .update(update)
+      .eq("provider", provider)
+      .eq("provider_message_id", providerMessageId)
+      .not("status", "in", `(${FINAL_STATUSES.join(",")})`)
+      .select("id");
+
+    if (error) throw error;
+
+    if (!data?.length) {
+      const { count, error: lookupError } = await supabase
+        .from("sms_messages")
+        .select("id", { count: "exact", head: true })
+        .eq("provider", provider)
+        .eq("provider_message_id", providerMessageId);
+
+      if (lookupError) throw lookupError;
+
+      // Already final: acknowledge so the provider stops retrying
+      if (count) return json({ success: true, updated: 0, ignored: "already final" });
+
+      console.warn("DLR for unknown message:", provider, providerMessageId);
+      return json({ success: false, error: "unknown message" }, 404);
+    }
+
+    return json({ success: true, updated: data.length, status });
+  } catch (err: any) {
+    console.error("DLR error:", err.message);
+    return json({ error: err.message }, 500);
+  }
+});
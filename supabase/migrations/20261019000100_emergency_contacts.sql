@@ -0,0 +1,18 @@
+-- Multiple emergency contacts per user, texted in priority order on SOS.
+-- Each entry: { firstName, lastName, relationship, phone, priority, notify }
+
+alter table public.users
+  add column if not exists emergency_contacts jsonb not null default '[]'::jsonb;
+
+-- Carry the old single contact over as priority 1
+update public.users
+set emergency_contacts = jsonb_build_array(
+  emergency_contact || jsonb_build_object('priority', 1, 'notify', true)
+)
+where emergency_contact is not null
+  and emergency_contact ? 'phone'
+  and emergency_contacts = '[]'::jsonb;
+
+-- Per-contact SMS outcome for each SOS: [{ name, phone, priority, success, messageId, error, sent_at }]
+alter table public.sos_requests
+  add column if not exists sms_results jsonb;
@@ -0,0 +1,5 @@
+-- SOS requests queued offline (IndexedDB outbox) and replayed by the service worker.
+-- queued_at is when the user pressed SOS; created_at is when it actually reached the server.
+
+alter table public.sos_requests
+  add column if not exists queued_at timestamptz;
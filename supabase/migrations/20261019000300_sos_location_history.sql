@@ -0,0 +1,40 @@
+-- Live location trail streamed by sos.js while an SOS is waiting or dispatched.
+-- Tracking stops client-side once the SOS is arrived or cancelled.
+
+create table if not exists public.sos_location_history (
+  id bigint generated always as identity primary key,
+  sos_id uuid not null references public.sos_requests(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  lat double precision not null,
+  lng double precision not null,
+  accuracy double precision,
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists sos_location_history_sos_id_recorded_at_idx
+  on public.sos_location_history (sos_id, recorded_at);
+
+alter table public.sos_location_history enable row level security;
+
+-- Only onto the caller's own SOS, and only while responders still need to find them
+create policy "Users record their own SOS trail"
+  on public.sos_location_history for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.sos_requests s
+      where s.id = sos_id
+        and s.user_id = auth.uid()
+        and s.status in ('waiting', 'dispatched')
+    )
+  );
+
+create policy "Users and admins read SOS trails"
+  on public.sos_location_history for select
+  using (
+    auth.uid() = user_id
+    or exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin)
+  );
+
+-- admin-sos.js listens for new points over realtime
+alter publication supabase_realtime add table public.sos_location_history;
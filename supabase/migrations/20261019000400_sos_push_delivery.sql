@@ -0,0 +1,5 @@
+-- Outcome of the last targeted push sent to the SOS requester on a status change:
+-- { status, sent_at, delivered_to, failed, error }
+
+alter table public.sos_requests
+  add column if not exists push_delivery jsonb;
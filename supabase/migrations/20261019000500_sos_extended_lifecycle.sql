@@ -0,0 +1,17 @@
+-- Extended SOS lifecycle: cancelled (by the requester, with a reason), resolved, unable_to_locate
+
+alter table public.sos_requests drop constraint if exists sos_requests_status_check;
+alter table public.sos_requests
+  add constraint sos_requests_status_check
+  check (status in ('waiting', 'dispatched', 'arrived', 'resolved', 'unable_to_locate', 'cancelled'));
+
+alter table public.sos_requests
+  add column if not exists cancel_reason text,
+  add column if not exists cancel_note text,
+  add column if not exists cancelled_at timestamptz;
+
+-- Requesters may only move their own active SOS to cancelled
+create policy "Users cancel their own active SOS"
+  on public.sos_requests for update
+  using (auth.uid() = user_id and status in ('waiting', 'dispatched'))
+  with check (auth.uid() = user_id and status = 'cancelled');
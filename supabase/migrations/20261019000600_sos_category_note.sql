@@ -0,0 +1,8 @@
+-- Optional emergency category and short note added by the requester after pressing SOS.
+-- admin-sos.js uses the category (plus age and repeat SOS) to order the waiting queue.
+
+alter table public.sos_requests
+  add column if not exists category text
+    check (category in ('medical', 'fire', 'flood', 'crime', 'other')),
+  add column if not exists note text
+    check (char_length(note) <= 200);
@@ -0,0 +1,29 @@
+-- Every outbound SOS text, written by the send-sos-sms edge function and
+-- updated by the sms-delivery-report webhook when the provider reports back.
+
+create table if not exists public.sms_messages (
+  id uuid primary key default gen_random_uuid(),
+  sos_id uuid references public.sos_requests(id) on delete set null,
+  recipient text not null,
+  provider text not null,
+  provider_message_id text,
+  status text not null default 'sent'
+    check (status in ('sent', 'delivered', 'undelivered', 'failed')),
+  provider_status text,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index if not exists sms_messages_sos_id_idx on public.sms_messages (sos_id);
+create index if not exists sms_messages_provider_message_id_idx on public.sms_messages (provider_message_id);
+
+-- Written only by edge functions (service role); admins read
+alter table public.sms_messages enable row level security;
+
+create policy "Admins read SMS delivery state"
+  on public.sms_messages for select
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin));
+
+alter publication supabase_realtime add table public.sms_messages;
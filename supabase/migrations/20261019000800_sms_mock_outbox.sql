@@ -0,0 +1,17 @@
+-- Local-only sink for the "mock" SMS provider (SMS_PROVIDERS=mock).
+-- Lets SOS flows run end to end in local Supabase without sending real texts.
+
+create table if not exists public.sms_mock_outbox (
+  id uuid primary key default gen_random_uuid(),
+  provider_message_id text not null,
+  recipient text not null,
+  message text not null,
+  created_at timestamptz not null default now()
+);
+
+-- Written by the send-sos-sms edge function (service role) only
+alter table public.sms_mock_outbox enable row level security;
+
+create policy "Admins read mock SMS outbox"
+  on public.sms_mock_outbox for select
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin));
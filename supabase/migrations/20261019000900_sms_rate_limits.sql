@@ -0,0 +1,13 @@
+-- send-sos-sms now only texts the caller's own emergency contacts and rate-limits per user.
+-- user_id lets the function count a user's recent texts without joining sos_requests.
+
+alter table public.sms_messages
+  add column if not exists user_id uuid references public.users(id) on delete set null;
+
+update public.sms_messages m
+set user_id = s.user_id
+from public.sos_requests s
+where m.sos_id = s.id and m.user_id is null;
+
+create index if not exists sms_messages_user_created_idx on public.sms_messages (user_id, created_at);
+create index if not exists sms_messages_created_at_idx on public.sms_messages (created_at);
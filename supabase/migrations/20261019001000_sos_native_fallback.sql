@@ -0,0 +1,5 @@
+-- When the send-sos-sms service can't be reached, sos.js offers the phone's own
+-- SMS composer and a call to the CDRRMO hotline. Records which was used: { sms_at, call_at }.
+
+alter table public.sos_requests
+  add column if not exists native_fallback jsonb;
@@ -0,0 +1,87 @@
+-- Audit trail of every SOS status transition: who changed it, when, and an optional note.
+-- Written by a trigger so admin updates (admin-sos.js), requester cancellations (sos.js)
+-- and offline replays (service-worker.js) are all captured the same way.
+
+create table if not exists public.sos_status_history (
+  id uuid primary key default gen_random_uuid(),
+  sos_id uuid not null references public.sos_requests(id) on delete cascade,
+  old_status text,
+  new_status text not null,
+  changed_by uuid references public.users(id) on delete set null,
+  note text check (char_length(note) <= 500),
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists sos_status_history_sos_idx on public.sos_status_history (sos_id, changed_at);
+
+-- Set together with `status` to attach a note to that transition; the trigger
+-- moves it into the history row and clears it.
+alter table public.sos_requests
+  add column if not exists status_note text check (char_length(status_note) <= 500);
+
+create or replace function public.record_sos_status_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into sos_status_history (sos_id, old_status, new_status, changed_by, changed_at)
+    values (new.id, null, new.status, auth.uid(), coalesce(new.created_at, now()));
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into sos_status_history (sos_id, old_status, new_status, changed_by, note)
+    values (
+      new.id,
+      old.status,
+      new.status,
+      auth.uid(),
+      coalesce(new.status_note, case when new.status = 'cancelled' then new.cancel_note end)
+    );
+  end if;
+
+  new.status_note := null;
+  return new;
+end;
+$$;
+
+-- AFTER on insert (the history row references the new SOS), BEFORE on update (to clear status_note)
+drop trigger if exists sos_status_history_insert on public.sos_requests;
+create trigger sos_status_history_insert
+  after insert on public.sos_requests
+  for each row execute function public.record_sos_status_change();
+
+drop trigger if exists sos_status_history_update on public.sos_requests;
+create trigger sos_status_history_update
+  before update on public.sos_requests
+  for each row execute function public.record_sos_status_change();
+
+-- Existing requests: we only know when they were sent and their current status
+insert into public.sos_status_history (sos_id, old_status, new_status, changed_at)
+select id, null, 'waiting', created_at
+from public.sos_requests
+where not exists (select 1 from public.sos_status_history h where h.sos_id = sos_requests.id);
+
+insert into public.sos_status_history (sos_id, old_status, new_status, changed_at)
+select id, null, status, coalesce(updated_at, created_at)
+from public.sos_requests
+where status <> 'waiting'
+  and not exists (
+    select 1 from public.sos_status_history h
+    where h.sos_id = sos_requests.id and h.new_status = sos_requests.status
+  );
+
+alter table public.sos_status_history enable row level security;
+
+create policy "Admins read SOS status history"
+  on public.sos_status_history for select
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin));
+
+create policy "Requesters read their own SOS status history"
+  on public.sos_status_history for select
+  using (exists (select 1 from public.sos_requests s where s.id = sos_id and s.user_id = auth.uid()));
+
+alter publication supabase_realtime add table public.sos_status_history;
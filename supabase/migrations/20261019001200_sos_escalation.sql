@@ -0,0 +1,36 @@
+-- Automatic escalation of unattended SOS requests (supabase/functions/escalate-sos).
+-- escalation_status is the status that was escalated: once the SOS moves on, a new episode starts.
+
+alter table public.sos_requests
+  add column if not exists escalation_level integer not null default 0,
+  add column if not exists escalation_status text,
+  add column if not exists escalated_at timestamptz,
+  add column if not exists next_escalation_at timestamptz,
+  add column if not exists escalation_acknowledged_at timestamptz,
+  add column if not exists escalation_acknowledged_by uuid references public.users(id) on delete set null;
+
+create index if not exists sos_requests_open_status_idx
+  on public.sos_requests (status)
+  where status in ('waiting', 'dispatched');
+
+-- Run the escalation check every minute.
+-- Before applying, store the function URL base and shared secret in Vault:
+--   select vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   select vault.create_secret('<same value as ESCALATION_SECRET>', 'escalation_secret');
+create extension if not exists pg_cron;
+create extension if not exists pg_net;
+
+select cron.schedule(
+  'escalate-sos',
+  '* * * * *',
+  $$
+  select net.http_post(
+    url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url') || '/functions/v1/escalate-sos',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'x-escalation-secret', (select decrypted_secret from vault.decrypted_secrets where name = 'escalation_secret')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
@@ -0,0 +1,62 @@
+-- Two-way chat between an SOS requester and dispatchers.
+-- ids are generated by the client so messages replayed from the offline outbox are stored once.
+
+create table if not exists public.sos_messages (
+  id uuid primary key,
+  sos_id uuid not null references public.sos_requests(id) on delete cascade,
+  sender_id uuid references public.users(id) on delete set null,
+  sender_role text not null check (sender_role in ('requester', 'dispatcher')),
+  body text not null check (char_length(body) between 1 and 500),
+  created_at timestamptz not null default now(),
+  read_at timestamptz
+);
+
+create index if not exists sos_messages_sos_idx on public.sos_messages (sos_id, created_at);
+create index if not exists sos_messages_unread_idx on public.sos_messages (sos_id, sender_role) where read_at is null;
+
+alter table public.sos_messages enable row level security;
+
+create policy "Requesters read messages on their SOS"
+  on public.sos_messages for select
+  using (exists (select 1 from public.sos_requests s where s.id = sos_id and s.user_id = auth.uid()));
+
+create policy "Admins read all SOS messages"
+  on public.sos_messages for select
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin));
+
+create policy "Requesters write on their own SOS"
+  on public.sos_messages for insert
+  with check (
+    sender_id = auth.uid()
+    and sender_role = 'requester'
+    and exists (select 1 from public.sos_requests s where s.id = sos_id and s.user_id = auth.uid())
+  );
+
+create policy "Admins write as dispatcher"
+  on public.sos_messages for insert
+  with check (
+    sender_id = auth.uid()
+    and sender_role = 'dispatcher'
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin)
+  );
+
+-- Read receipts: each side marks the other side's messages as read
+create policy "Requesters mark dispatcher messages read"
+  on public.sos_messages for update
+  using (
+    sender_role = 'dispatcher'
+    and exists (select 1 from public.sos_requests s where s.id = sos_id and s.user_id = auth.uid())
+  );
+
+create policy "Admins mark requester messages read"
+  on public.sos_messages for update
+  using (
+    sender_role = 'requester'
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin)
+  );
+
+-- ...and nothing else: only read_at is updatable
+revoke update on public.sos_messages from anon, authenticated;
+grant update (read_at) on public.sos_messages to authenticated;
+
+alter publication supabase_realtime add table public.sos_messages;
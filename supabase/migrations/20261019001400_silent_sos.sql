@@ -0,0 +1,9 @@
+-- Silent SOS for crime / domestic-violence situations where the requester must stay hidden.
+-- users.silent_sos_enabled arms the disguised trigger in sos.js (set from the profile page).
+-- sos_requests.silent tells dispatchers not to call back, and turns off status pushes to the requester.
+
+alter table public.users
+  add column if not exists silent_sos_enabled boolean not null default false;
+
+alter table public.sos_requests
+  add column if not exists silent boolean not null default false;
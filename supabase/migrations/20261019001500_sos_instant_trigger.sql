@@ -0,0 +1,5 @@
+-- The SOS button is press-and-hold with a cancelable countdown (sos.js). Users who can't hold
+-- a button or wait out a countdown can switch to instant trigger from the profile page.
+
+alter table public.users
+  add column if not exists sos_instant_trigger boolean not null default false;
@@ -0,0 +1,98 @@
+-- "Are you safe?" check-ins attached to an admin broadcast (admin.js setupQuickActions).
+-- Users answer from the push notification actions or the banner in safety-check.js.
+-- Family: anyone whose phone number is on a user's emergency contact list can see that
+-- user's answer through family_safety_check_ins(); the table itself stays owner + admin only.
+
+create table if not exists public.safety_checks (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  message text not null,
+  created_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  closed_at timestamptz
+);
+
+create index if not exists safety_checks_open_idx on public.safety_checks (created_at desc) where closed_at is null;
+
+create table if not exists public.safety_check_responses (
+  check_id uuid not null references public.safety_checks(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  status text not null check (status in ('safe', 'need_help')),
+  location jsonb,
+  responded_at timestamptz not null default now(),
+  primary key (check_id, user_id)
+);
+
+alter table public.safety_checks enable row level security;
+alter table public.safety_check_responses enable row level security;
+
+create policy "Signed-in users read safety checks"
+  on public.safety_checks for select
+  using (auth.uid() is not null);
+
+create policy "Admins create safety checks"
+  on public.safety_checks for insert
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin));
+
+create policy "Admins close safety checks"
+  on public.safety_checks for update
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin));
+
+create policy "Users read their own check-ins"
+  on public.safety_check_responses for select
+  using (user_id = auth.uid());
+
+create policy "Admins read all check-ins"
+  on public.safety_check_responses for select
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin));
+
+-- Answers can change ("safe" -> "need help") until the check is closed
+create policy "Users answer open checks"
+  on public.safety_check_responses for insert
+  with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.safety_checks c where c.id = check_id and c.closed_at is null)
+  );
+
+create policy "Users change their answer on open checks"
+  on public.safety_check_responses for update
+  using (
+    user_id = auth.uid()
+    and exists (select 1 from public.safety_checks c where c.id = check_id and c.closed_at is null)
+  );
+
+-- People who list the caller as an emergency contact, with their answer (null = not answered yet).
+-- Phones are compared on the last 10 digits so +639..., 639... and 09... all match.
+create or replace function public.family_safety_check_ins(p_check_id uuid)
+returns table (user_id uuid, first_name text, last_name text, status text, responded_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with viewer as (
+    select right(regexp_replace(phone, '\D', '', 'g'), 10) as phone
+    from users
+    where id = auth.uid() and phone is not null
+  )
+  select o.id, o.first_name, o.last_name, r.status, r.responded_at
+  from users o
+  cross join viewer v
+  left join safety_check_responses r on r.check_id = p_check_id and r.user_id = o.id
+  where o.id <> auth.uid()
+    and length(v.phone) = 10
+    and (
+      exists (
+        select 1 from jsonb_array_elements(coalesce(o.emergency_contacts, '[]'::jsonb)) c
+        where right(regexp_replace(c->>'phone', '\D', '', 'g'), 10) = v.phone
+      )
+      or right(regexp_replace(o.emergency_contact->>'phone', '\D', '', 'g'), 10) = v.phone
+    )
+  order by r.status = 'need_help' desc nulls last, o.first_name;
+$$;
+
+revoke execute on function public.family_safety_check_ins(uuid) from public, anon;
+grant execute on function public.family_safety_check_ins(uuid) to authenticated;
+
+alter publication supabase_realtime add table public.safety_checks;
+alter publication supabase_realtime add table public.safety_check_responses;
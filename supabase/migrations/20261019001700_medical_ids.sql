@@ -0,0 +1,106 @@
+-- Optional Medical ID, edited on the profile page and shown to dispatchers for one SOS at a time.
+-- Admins have no direct read access: sos_medical_id() checks the SOS, returns only the fields
+-- the user chose to share, and logs the view in medical_id_views (which the user can read).
+
+create table if not exists public.medical_ids (
+  user_id uuid primary key references public.users(id) on delete cascade,
+  blood_type text check (blood_type in ('A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-')),
+  allergies text check (char_length(allergies) <= 500),
+  conditions text check (char_length(conditions) <= 500),
+  medications text check (char_length(medications) <= 500),
+  mobility_needs text check (char_length(mobility_needs) <= 500),
+  preferred_hospital text check (char_length(preferred_hospital) <= 200),
+  shared_fields text[] not null default array['blood_type', 'allergies', 'conditions', 'medications', 'mobility_needs', 'preferred_hospital'],
+  updated_at timestamptz not null default now()
+);
+
+alter table public.medical_ids enable row level security;
+
+create policy "Users manage their own medical ID"
+  on public.medical_ids for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create table if not exists public.medical_id_views (
+  id bigint generated always as identity primary key,
+  sos_id uuid not null references public.sos_requests(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  viewed_by uuid references public.users(id) on delete set null,
+  viewed_at timestamptz not null default now()
+);
+
+create index if not exists medical_id_views_user_idx on public.medical_id_views (user_id, viewed_at desc);
+
+alter table public.medical_id_views enable row level security;
+
+create policy "Users see who viewed their medical ID"
+  on public.medical_id_views for select
+  using (user_id = auth.uid());
+
+create policy "Admins read medical ID views"
+  on public.medical_id_views for select
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin));
+
+-- Shared fields for the person who sent this SOS (null = nothing shared). Every call is logged.
+-- Only for SOS requests that are still open or were sent in the last 24 hours.
+create or replace function public.sos_medical_id(p_sos_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sos sos_requests;
+  v_med medical_ids;
+  v_result jsonb;
+begin
+  if not exists (select 1 from users where id = auth.uid() and is_admin) then
+    raise exception 'Only dispatchers can view medical IDs' using errcode = '42501';
+  end if;
+
+  select * into v_sos from sos_requests where id = p_sos_id;
+  if not found then
+    raise exception 'SOS request not found' using errcode = 'P0002';
+  end if;
+
+  if v_sos.status not in ('waiting', 'dispatched', 'arrived') and v_sos.created_at < now() - interval '24 hours' then
+    raise exception 'Medical ID is only available for open or recent SOS requests' using errcode = '42501';
+  end if;
+
+  select * into v_med from medical_ids where user_id = v_sos.user_id;
+  if not found or cardinality(v_med.shared_fields) = 0 then
+    return null;
+  end if;
+
+  insert into medical_id_views (sos_id, user_id, viewed_by)
+  values (p_sos_id, v_sos.user_id, auth.uid());
+
+  select jsonb_object_agg(key, value) into v_result
+  from jsonb_each(to_jsonb(v_med))
+  where key = any(v_med.shared_fields)
+    and value not in ('null'::jsonb, '""'::jsonb);
+
+  return coalesce(v_result, '{}'::jsonb) || jsonb_build_object('updated_at', v_med.updated_at);
+end;
+$$;
+
+-- Which of these SOS requests have a shared medical ID (for the button; nothing is revealed or logged)
+create or replace function public.sos_ids_with_medical_id(p_sos_ids uuid[])
+returns setof uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select s.id
+  from sos_requests s
+  join medical_ids m on m.user_id = s.user_id
+  where s.id = any(p_sos_ids)
+    and cardinality(m.shared_fields) > 0
+    and exists (select 1 from users u where u.id = auth.uid() and u.is_admin);
+$$;
+
+revoke execute on function public.sos_medical_id(uuid) from public, anon;
+revoke execute on function public.sos_ids_with_medical_id(uuid[]) from public, anon;
+grant execute on function public.sos_medical_id(uuid) to authenticated;
+grant execute on function public.sos_ids_with_medical_id(uuid[]) to authenticated;
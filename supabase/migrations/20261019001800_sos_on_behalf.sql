@@ -0,0 +1,80 @@
+-- "SOS for someone else": a neighbor reporting for an elderly relative, a passer-by for a stranger.
+-- user_id stays the reporter (they own the row, get the status updates and the chat);
+-- the victim is described by name + condition, and contact_phone is the callback number
+-- the reporter gave instead of their first emergency contact.
+
+alter table public.sos_requests
+  add column if not exists request_type text not null default 'self'
+    check (request_type in ('self', 'on_behalf')),
+  add column if not exists victim_name text
+    check (char_length(victim_name) <= 100),
+  add column if not exists victim_condition text
+    check (char_length(victim_condition) <= 200);
+
+alter table public.sos_requests
+  drop constraint if exists sos_requests_on_behalf_details;
+alter table public.sos_requests
+  add constraint sos_requests_on_behalf_details
+    check (request_type = 'self' or (victim_name is not null and contact_phone is not null));
+
+-- The reporter's medical ID says nothing about the person in need: only self SOS expose it.
+create or replace function public.sos_medical_id(p_sos_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sos sos_requests;
+  v_med medical_ids;
+  v_result jsonb;
+begin
+  if not exists (select 1 from users where id = auth.uid() and is_admin) then
+    raise exception 'Only dispatchers can view medical IDs' using errcode = '42501';
+  end if;
+
+  select * into v_sos from sos_requests where id = p_sos_id;
+  if not found then
+    raise exception 'SOS request not found' using errcode = 'P0002';
+  end if;
+
+  if v_sos.request_type <> 'self' then
+    return null;
+  end if;
+
+  if v_sos.status not in ('waiting', 'dispatched', 'arrived') and v_sos.created_at < now() - interval '24 hours' then
+    raise exception 'Medical ID is only available for open or recent SOS requests' using errcode = '42501';
+  end if;
+
+  select * into v_med from medical_ids where user_id = v_sos.user_id;
+  if not found or cardinality(v_med.shared_fields) = 0 then
+    return null;
+  end if;
+
+  insert into medical_id_views (sos_id, user_id, viewed_by)
+  values (p_sos_id, v_sos.user_id, auth.uid());
+
+  select jsonb_object_agg(key, value) into v_result
+  from jsonb_each(to_jsonb(v_med))
+  where key = any(v_med.shared_fields)
+    and value not in ('null'::jsonb, '""'::jsonb);
+
+  return coalesce(v_result, '{}'::jsonb) || jsonb_build_object('updated_at', v_med.updated_at);
+end;
+$$;
+
+create or replace function public.sos_ids_with_medical_id(p_sos_ids uuid[])
+returns setof uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select s.id
+  from sos_requests s
+  join medical_ids m on m.user_id = s.user_id
+  where s.id = any(p_sos_ids)
+    and s.request_type = 'self'
+    and cardinality(m.shared_fields) > 0
+    and exists (select 1 from users u where u.id = auth.uid() and u.is_admin);
+$$;
@@ -0,0 +1,50 @@
+-- Incident reports wait for an admin before anyone else sees them.
+-- incident-report.js inserts as 'pending'; admin.js verifies (and only then broadcasts the push)
+-- or rejects. index.js only lists 'verified' reports.
+
+alter table public.incidents
+  add column if not exists moderation_status text not null default 'verified'
+    check (moderation_status in ('pending', 'verified', 'rejected')),
+  add column if not exists moderated_by uuid references public.users(id) on delete set null,
+  add column if not exists moderated_at timestamptz,
+  add column if not exists rejection_reason text
+    check (char_length(rejection_reason) <= 200),
+  add column if not exists broadcast_at timestamptz;
+
+-- Reports made before moderation existed were already broadcast; new ones start pending
+alter table public.incidents
+  alter column moderation_status set default 'pending';
+
+update public.incidents
+  set broadcast_at = created_at
+  where moderation_status = 'verified' and broadcast_at is null;
+
+create index if not exists incidents_moderation_status_created_at_idx
+  on public.incidents (moderation_status, created_at desc);
+
+-- Restrictive, so they narrow whatever permissive incident policies already exist
+drop policy if exists "Only verified incidents are public" on public.incidents;
+create policy "Only verified incidents are public"
+  on public.incidents as restrictive for select
+  using (
+    moderation_status = 'verified'
+    or reported_by = auth.uid()
+    or exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin)
+  );
+
+drop policy if exists "New incidents start pending" on public.incidents;
+create policy "New incidents start pending"
+  on public.incidents as restrictive for insert
+  with check (
+    moderation_status = 'pending'
+    or exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin)
+  );
+
+drop policy if exists "Only admins moderate incidents" on public.incidents;
+create policy "Only admins moderate incidents"
+  on public.incidents as restrictive for update
+  using (true)
+  with check (
+    moderation_status = 'pending'
+    or exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin)
+  );
@@ -0,0 +1,106 @@
+-- Response lifecycle for incident reports: reported → acknowledged → responding → resolved / closed.
+-- Every transition becomes a public, timestamped update (shown on the index.js cards and modal);
+-- admins can also post an update without changing the status.
+
+alter table public.incidents
+  add column if not exists status text not null default 'reported'
+    check (status in ('reported', 'acknowledged', 'responding', 'resolved', 'closed')),
+  add column if not exists status_updated_at timestamptz,
+  -- Set together with `status`; the trigger moves it into the update row and clears it
+  add column if not exists status_note text check (char_length(status_note) <= 500);
+
+create table if not exists public.incident_updates (
+  id uuid primary key default gen_random_uuid(),
+  incident_id uuid not null references public.incidents(id) on delete cascade,
+  old_status text,
+  new_status text not null,
+  message text check (char_length(message) <= 500),
+  created_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists incident_updates_incident_idx on public.incident_updates (incident_id, created_at);
+
+create or replace function public.record_incident_status_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Every report starts out 'reported'; only an admin's update moves it along
+  if tg_op = 'INSERT' and tg_when = 'BEFORE' then
+    new.status := 'reported';
+    new.status_updated_at := null;
+    new.status_note := null;
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    insert into incident_updates (incident_id, old_status, new_status, created_by, created_at)
+    values (new.id, null, new.status, new.reported_by, coalesce(new.created_at, now()));
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    if not exists (select 1 from users where id = auth.uid() and is_admin) then
+      raise exception 'Only admins can change an incident''s status' using errcode = '42501';
+    end if;
+
+    insert into incident_updates (incident_id, old_status, new_status, message, created_by)
+    values (new.id, old.status, new.status, new.status_note, auth.uid());
+    new.status_updated_at := now();
+  end if;
+
+  new.status_note := null;
+  return new;
+end;
+$$;
+
+-- BEFORE insert to reset the status, AFTER insert (the update row references the new incident),
+-- BEFORE update (to clear status_note)
+drop trigger if exists incident_status_reset on public.incidents;
+create trigger incident_status_reset
+  before insert on public.incidents
+  for each row execute function public.record_incident_status_change();
+
+drop trigger if exists incident_updates_insert on public.incidents;
+create trigger incident_updates_insert
+  after insert on public.incidents
+  for each row execute function public.record_incident_status_change();
+
+drop trigger if exists incident_updates_update on public.incidents;
+create trigger incident_updates_update
+  before update on public.incidents
+  for each row execute function public.record_incident_status_change();
+
+-- Existing incidents: all we know is when they were reported
+insert into public.incident_updates (incident_id, old_status, new_status, created_by, created_at)
+select id, null, 'reported', reported_by, created_at
+from public.incidents
+where not exists (select 1 from public.incident_updates u where u.incident_id = incidents.id);
+
+alter table public.incident_updates enable row level security;
+
+-- Same visibility as the incident itself (see incident_moderation)
+create policy "Incident updates are public once verified"
+  on public.incident_updates for select
+  using (exists (
+    select 1 from public.incidents i
+    where i.id = incident_id
+      and (
+        i.moderation_status = 'verified'
+        or i.reported_by = auth.uid()
+        or exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin)
+      )
+  ));
+
+-- Note-only updates (status unchanged) are inserted directly by admin.js
+create policy "Admins post incident updates"
+  on public.incident_updates for insert
+  with check (
+    created_by = auth.uid()
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin)
+  );
+
+alter publication supabase_realtime add table public.incident_updates;
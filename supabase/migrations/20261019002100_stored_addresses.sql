@@ -0,0 +1,18 @@
+-- Address + barangay resolved once, when the incident or SOS is created (public/javascript/geocoding.js),
+-- so the feed, the admin pages and the SOS texts read them instead of geocoding on every render.
+-- Null when the row was saved without a connection to the geocoder (e.g. an SOS replayed by the
+-- service worker); readers fall back to geocoding those through the same cached module.
+
+alter table public.incidents
+  add column if not exists address text,
+  add column if not exists barangay text;
+
+alter table public.sos_requests
+  add column if not exists address text,
+  add column if not exists barangay text;
+
+-- Reports made with the pin picker kept their address inside `location`
+update public.incidents
+set address = location->>'address'
+where address is null
+  and nullif(location->>'address', '') is not null;
@@ -0,0 +1,118 @@
+-- Requesters no longer UPDATE sos_requests directly. Everything sos.js (and the service worker)
+-- writes after the insert goes through one of these functions, each limited to its own columns
+-- on the caller's own SOS. Replaces "Users cancel their own active SOS" from the extended lifecycle,
+-- whose status = 'cancelled' check also blocked the sms_results / details / fallback updates.
+
+drop policy if exists "Users cancel their own active SOS" on public.sos_requests;
+
+-- Narrows any permissive UPDATE policy: direct updates are for dispatchers only
+create policy "Only admins update SOS requests directly"
+  on public.sos_requests
+  as restrictive
+  for update
+  to authenticated
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.is_admin));
+
+-- Set only by cancel_sos(), so the requester's app can tell its own cancel from a dispatcher's
+alter table public.sos_requests
+  add column if not exists cancelled_by uuid references public.users(id) on delete set null;
+
+create or replace function public.cancel_sos(p_sos_id uuid, p_reason text, p_note text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update sos_requests
+  set status = 'cancelled',
+      cancel_reason = p_reason,
+      cancel_note = nullif(trim(p_note), ''),
+      cancelled_at = now(),
+      cancelled_by = auth.uid(),
+      updated_at = now()
+  where id = p_sos_id
+    and user_id = auth.uid()
+    and status in ('waiting', 'dispatched');
+
+  if not found then
+    raise exception 'This SOS can no longer be cancelled' using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+create or replace function public.update_sos_details(p_sos_id uuid, p_category text, p_note text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update sos_requests
+  set category = p_category,
+      note = nullif(trim(p_note), '')
+  where id = p_sos_id
+    and user_id = auth.uid()
+    and status in ('waiting', 'dispatched');
+
+  if not found then
+    raise exception 'This SOS is no longer active' using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+-- Per-contact results of the SOS texts, saved by whoever sent them (sos.js or the service worker)
+create or replace function public.save_sos_sms_results(p_sos_id uuid, p_results jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if jsonb_typeof(p_results) <> 'array' then
+    raise exception 'SMS results must be an array' using errcode = '22023';
+  end if;
+
+  update sos_requests
+  set sms_results = p_results
+  where id = p_sos_id
+    and user_id = auth.uid();
+
+  if not found then
+    raise exception 'SOS request not found' using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+-- Merged server-side, so the SMS and call links can't overwrite each other's timestamp
+create or replace function public.record_sos_native_fallback(p_sos_id uuid, p_kind text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_kind not in ('sms', 'call') then
+    raise exception 'Unknown fallback: %', p_kind using errcode = '22023';
+  end if;
+
+  update sos_requests
+  set native_fallback = coalesce(native_fallback, '{}'::jsonb) || jsonb_build_object(p_kind || '_at', now())
+  where id = p_sos_id
+    and user_id = auth.uid();
+
+  if not found then
+    raise exception 'SOS request not found' using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+revoke execute on function public.cancel_sos(uuid, text, text) from public, anon;
+revoke execute on function public.update_sos_details(uuid, text, text) from public, anon;
+revoke execute on function public.save_sos_sms_results(uuid, jsonb) from public, anon;
+revoke execute on function public.record_sos_native_fallback(uuid, text) from public, anon;
+grant execute on function public.cancel_sos(uuid, text, text) to authenticated;
+grant execute on function public.update_sos_details(uuid, text, text) to authenticated;
+grant execute on function public.save_sos_sms_results(uuid, jsonb) to authenticated;
+grant execute on function public.record_sos_native_fallback(uuid, text) to authenticated;
@@ -0,0 +1,23 @@
+-- send-sos-sms claims (sos_id, recipient) here before it calls the SMS provider. The primary key
+-- makes the claim atomic: when the page and the service worker replay the same SOS at once, only
+-- one of them texts each contact. A failed send deletes its claim so the contact can be retried.
+
+create table if not exists public.sms_send_claims (
+  sos_id uuid not null references public.sos_requests(id) on delete cascade,
+  recipient text not null,
+  claimed_at timestamptz not null default now(),
+  primary key (sos_id, recipient)
+);
+
+-- Written only by the edge function (service role)
+alter table public.sms_send_claims enable row level security;
+
+-- Contacts already texted stay texted
+insert into public.sms_send_claims (sos_id, recipient, claimed_at)
+select distinct on (sos_id, recipient) sos_id, recipient, created_at
+from public.sms_messages
+where sos_id is not null
+  and user_id is not null
+  and status in ('sent', 'delivered')
+order by sos_id, recipient, created_at
+on conflict do nothing;
@@ -0,0 +1,142 @@
+-- Family check-ins by consent. family_safety_check_ins() used to match the caller's own users.phone
+-- against other people's emergency contacts, but anyone can edit their phone and read the answers
+-- of everyone who lists that number. Now a user shares their answers by handing a one-time code to
+-- a family member (safety-check.js); whoever redeems it is linked, and either side can unlink.
+
+create table if not exists public.family_invites (
+  code text primary key,
+  owner_id uuid not null references public.users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null default now() + interval '24 hours',
+  accepted_by uuid references public.users(id) on delete set null,
+  accepted_at timestamptz
+);
+
+-- owner_id shares their check-in answers with viewer_id
+create table if not exists public.family_links (
+  owner_id uuid not null references public.users(id) on delete cascade,
+  viewer_id uuid not null references public.users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (owner_id, viewer_id),
+  check (owner_id <> viewer_id)
+);
+
+create index if not exists family_links_viewer_idx on public.family_links (viewer_id);
+
+alter table public.family_invites enable row level security;
+alter table public.family_links enable row level security;
+
+-- Invites and links are created only through the functions below
+create policy "Users read their own invites"
+  on public.family_invites for select
+  using (owner_id = auth.uid());
+
+create policy "Users read their family links"
+  on public.family_links for select
+  using (owner_id = auth.uid() or viewer_id = auth.uid());
+
+create policy "Either side ends a family link"
+  on public.family_links for delete
+  using (owner_id = auth.uid() or viewer_id = auth.uid());
+
+-- XXXXX-XXXXX, valid for 24 hours and a single use
+create or replace function public.create_family_invite()
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_code text;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to share your check-ins' using errcode = '42501';
+  end if;
+
+  v_code := upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 10));
+  v_code := substr(v_code, 1, 5) || '-' || substr(v_code, 6, 5);
+
+  insert into family_invites (code, owner_id) values (v_code, auth.uid());
+  return v_code;
+end;
+$$;
+
+-- Links the caller to the invite's owner; returns the owner's first name for the confirmation
+create or replace function public.accept_family_invite(p_code text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invite family_invites;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to add family' using errcode = '42501';
+  end if;
+
+  select * into v_invite
+  from family_invites
+  where code = upper(trim(p_code))
+    and accepted_at is null
+    and expires_at > now()
+  for update;
+
+  if not found then
+    raise exception 'That code is invalid or has expired' using errcode = 'P0002';
+  end if;
+  if v_invite.owner_id = auth.uid() then
+    raise exception 'That is your own code. Give it to a family member.' using errcode = '22023';
+  end if;
+
+  insert into family_links (owner_id, viewer_id)
+  values (v_invite.owner_id, auth.uid())
+  on conflict do nothing;
+
+  update family_invites
+  set accepted_by = auth.uid(), accepted_at = now()
+  where code = v_invite.code;
+
+  return (select first_name from users where id = v_invite.owner_id);
+end;
+$$;
+
+-- Who the caller shares with (names only), so they can stop sharing
+create or replace function public.family_viewers()
+returns table (viewer_id uuid, first_name text, last_name text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select u.id, u.first_name, u.last_name
+  from family_links l
+  join users u on u.id = l.viewer_id
+  where l.owner_id = auth.uid()
+  order by u.first_name;
+$$;
+
+-- People who share their answers with the caller, with their answer (null = not answered yet)
+create or replace function public.family_safety_check_ins(p_check_id uuid)
+returns table (user_id uuid, first_name text, last_name text, status text, responded_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select o.id, o.first_name, o.last_name, r.status, r.responded_at
+  from family_links l
+  join users o on o.id = l.owner_id
+  left join safety_check_responses r on r.check_id = p_check_id and r.user_id = o.id
+  where l.viewer_id = auth.uid()
+  order by r.status = 'need_help' desc nulls last, o.first_name;
+$$;
+
+revoke execute on function public.create_family_invite() from public, anon;
+revoke execute on function public.accept_family_invite(text) from public, anon;
+revoke execute on function public.family_viewers() from public, anon;
+revoke execute on function public.family_safety_check_ins(uuid) from public, anon;
+grant execute on function public.create_family_invite() to authenticated;
+grant execute on function public.accept_family_invite(text) to authenticated;
+grant execute on function public.family_viewers() to authenticated;
+grant execute on function public.family_safety_check_ins(uuid) to authenticated;
@@ -0,0 +1,89 @@
+-- send-sos-sms used to count sms_messages and then send, but that row is written only after the
+-- provider answers, so parallel requests all saw the old count and went past the hourly limits.
+-- claim_sms_send() now checks the limits and takes the (sos_id, recipient) claim in one locked
+-- transaction, counting claims instead (a claim exists from before the send until it fails).
+--
+-- sent_at marks a claim whose text went out: only unsent claims left by a crashed send are taken
+-- over, so a replay can never text a contact twice, even when the sms_messages row failed to save.
+
+alter table public.sms_send_claims
+  add column if not exists user_id uuid references public.users(id) on delete cascade,
+  add column if not exists sent_at timestamptz;
+
+update public.sms_send_claims c
+set user_id = s.user_id
+from public.sos_requests s
+where s.id = c.sos_id
+  and c.user_id is null;
+
+update public.sms_send_claims c
+set sent_at = c.claimed_at
+where c.sent_at is null
+  and exists (
+    select 1 from public.sms_messages m
+    where m.sos_id = c.sos_id
+      and m.recipient = c.recipient
+      and m.status in ('sent', 'delivered')
+  );
+
+create index if not exists sms_send_claims_user_idx on public.sms_send_claims (user_id, claimed_at);
+create index if not exists sms_send_claims_claimed_idx on public.sms_send_claims (claimed_at);
+
+-- 'claimed' (the caller sends), 'sent' / 'in_progress' (someone else did or is), or
+-- 'rate_limited_user' / 'rate_limited_global'
+create or replace function public.claim_sms_send(
+  p_sos_id uuid,
+  p_recipient text,
+  p_user_id uuid,
+  p_user_limit integer,
+  p_global_limit integer,
+  p_stale_seconds integer default 120
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_claim sms_send_claims;
+begin
+  -- One claim at a time, so concurrent sends can't all see a count under the limit
+  perform pg_advisory_xact_lock(hashtext('sms_send_claims'));
+
+  select * into v_claim
+  from sms_send_claims
+  where sos_id = p_sos_id and recipient = p_recipient;
+
+  if found then
+    if v_claim.sent_at is not null then
+      return 'sent';
+    end if;
+    if v_claim.claimed_at > now() - make_interval(secs => p_stale_seconds) then
+      return 'in_progress';
+    end if;
+
+    -- Left by a send that crashed mid-way; already counted against the limits
+    update sms_send_claims
+    set claimed_at = now()
+    where sos_id = p_sos_id and recipient = p_recipient;
+    return 'claimed';
+  end if;
+
+  if (select count(*) from sms_send_claims
+      where user_id = p_user_id and claimed_at > now() - interval '1 hour') >= p_user_limit then
+    return 'rate_limited_user';
+  end if;
+  if (select count(*) from sms_send_claims
+      where claimed_at > now() - interval '1 hour') >= p_global_limit then
+    return 'rate_limited_global';
+  end if;
+
+  insert into sms_send_claims (sos_id, recipient, user_id)
+  values (p_sos_id, p_recipient, p_user_id);
+  return 'claimed';
+end;
+$$;
+
+-- Edge function (service role) only
+revoke execute on function public.claim_sms_send(uuid, text, uuid, integer, integer, integer) from public, anon, authenticated;
+grant execute on function public.claim_sms_send(uuid, text, uuid, integer, integer, integer) to service_role;